@@ -0,0 +1,212 @@
+// SkyParty Message Attachments
+// Files are stored through a storage backend exposing:
+//   put(key, buffer)   store an object
+//   get(key)           -> buffer, or null if it does not exist
+//   delete(key)        remove an object (missing objects are ignored)
+// Pick one with ATTACHMENT_STORAGE; only 'local' (files under ATTACHMENT_DIR,
+// default ./attachments) ships here. Uploaded bytes are sniffed rather than
+// trusting the client's Content-Type, and images get a server-side thumbnail.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_ATTACHMENT_BYTES = (parseInt(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+const USER_QUOTA_BYTES = (parseInt(process.env.ATTACHMENT_QUOTA_MB) || 100) * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+const THUMBNAIL_SIZE = 320;
+
+// Accepted types, recognised by their leading bytes
+const SIGNATURES = [
+    { mimeType: 'image/png', extension: 'png', matches: b => b.length > 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+    { mimeType: 'image/jpeg', extension: 'jpg', matches: b => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { mimeType: 'image/gif', extension: 'gif', matches: b => ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+    { mimeType: 'image/webp', extension: 'webp', matches: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+    { mimeType: 'application/pdf', extension: 'pdf', matches: b => b.toString('ascii', 0, 5) === '%PDF-' },
+    { mimeType: 'application/zip', extension: 'zip', matches: b => b.length > 4 && b.readUInt32BE(0) === 0x504b0304 }
+];
+
+// { mimeType, extension } of the file, or null if the type is not accepted
+function sniffMimeType(buffer) {
+    const signature = SIGNATURES.find(candidate => candidate.matches(buffer));
+    if (signature) return { mimeType: signature.mimeType, extension: signature.extension };
+
+    // Anything else must be readable UTF-8 text
+    const text = buffer.toString('utf8');
+    if (!text.includes('\u0000') && !text.includes('\uFFFD')) {
+        return { mimeType: 'text/plain', extension: 'txt' };
+    }
+    return null;
+}
+
+function isImage(mimeType) {
+    return mimeType.startsWith('image/');
+}
+
+// Filenames are only ever shown and sent back in Content-Disposition, so keep them plain
+function sanitizeFilename(filename, extension) {
+    const base = path.basename(String(filename || ''))
+        .replace(/[^\w.\- ]+/g, '_')
+        .trim()
+        .slice(0, 200);
+    return base || `attachment.${extension}`;
+}
+
+// A JPEG preview that fits in THUMBNAIL_SIZE, plus the original dimensions
+async function createThumbnail(buffer) {
+    // Only required once an image is actually uploaded
+    const sharp = require('sharp');
+    const image = sharp(buffer, { animated: false });
+    const { width, height } = await image.metadata();
+    const thumbnail = await image
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+    return { thumbnail, width, height };
+}
+
+function createLocalStorage(dir) {
+    // Keys are generated server-side, but never let one escape the directory
+    const resolve = key => {
+        const filePath = path.resolve(dir, key);
+        if (!filePath.startsWith(path.resolve(dir) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        async put(key, buffer) {
+            const filePath = resolve(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+        },
+        async get(key) {
+            try {
+                return await fs.readFile(resolve(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        async delete(key) {
+            await fs.rm(resolve(key), { force: true });
+        }
+    };
+}
+
+function createAttachmentStorage(type = process.env.ATTACHMENT_STORAGE || 'local') {
+    switch (type) {
+        case 'local':
+            return createLocalStorage(process.env.ATTACHMENT_DIR || path.join(__dirname, 'attachments'));
+        default:
+            throw new Error(`Unknown ATTACHMENT_STORAGE: ${type}`);
+    }
+}
+
+let storage = null;
+
+function getAttachmentStorage() {
+    if (!storage) {
+        storage = createAttachmentStorage();
+        console.log(`📎 Using ${storage.name} attachment storage`);
+    }
+    return storage;
+}
+
+// Swap the storage backend at runtime, e.g. for an object store
+function setAttachmentStorage(customStorage) {
+    storage = customStorage;
+}
+
+// Sniff, thumbnail and store an upload; returns the columns for the attachments row,
+// or null when the file is of an unsupported type or an image that cannot be decoded
+async function storeAttachment(buffer, filename) {
+    const type = sniffMimeType(buffer);
+    if (!type) return null;
+
+    const id = crypto.randomUUID();
+    // Spread files over subdirectories so no single directory grows too large
+    const storageKey = `${id.slice(0, 2)}/${id}`;
+    let thumbnailKey = null;
+    let width = null;
+    let height = null;
+
+    if (isImage(type.mimeType)) {
+        let preview;
+        try {
+            preview = await createThumbnail(buffer);
+        } catch (error) {
+            console.log('⚠️ Could not decode uploaded image:', error.message);
+            return null;
+        }
+        thumbnailKey = `${storageKey}.thumb.jpg`;
+        width = preview.width;
+        height = preview.height;
+        await getAttachmentStorage().put(thumbnailKey, preview.thumbnail);
+    }
+    await getAttachmentStorage().put(storageKey, buffer);
+
+    return {
+        id,
+        filename: sanitizeFilename(filename, type.extension),
+        mimeType: type.mimeType,
+        sizeBytes: buffer.length,
+        storageKey,
+        thumbnailKey,
+        width,
+        height
+    };
+}
+
+// Remove the stored files of deleted attachment rows
+async function deleteStoredFiles(rows) {
+    for (const row of rows) {
+        await getAttachmentStorage().delete(row.storage_key);
+        if (row.thumbnail_key) await getAttachmentStorage().delete(row.thumbnail_key);
+    }
+}
+
+// Attachment summaries per message id, in upload order
+async function getMessageAttachments(client, messageIds) {
+    const result = await client.query(`
+        SELECT id, message_id, filename, mime_type, size_bytes, thumbnail_key, width, height
+        FROM attachments
+        WHERE message_id = ANY($1::uuid[])
+        ORDER BY created_at, id
+    `, [messageIds]);
+
+    const attachments = new Map();
+    for (const row of result.rows) {
+        if (!attachments.has(row.message_id)) attachments.set(row.message_id, []);
+        attachments.get(row.message_id).push(formatAttachment(row));
+    }
+    return attachments;
+}
+
+function formatAttachment(row) {
+    return {
+        id: row.id,
+        filename: row.filename,
+        mimeType: row.mime_type,
+        size: row.size_bytes,
+        width: row.width,
+        height: row.height,
+        hasThumbnail: Boolean(row.thumbnail_key)
+    };
+}
+
+module.exports = {
+    MAX_ATTACHMENT_BYTES,
+    USER_QUOTA_BYTES,
+    MAX_ATTACHMENTS_PER_MESSAGE,
+    sniffMimeType,
+    isImage,
+    createAttachmentStorage,
+    getAttachmentStorage,
+    setAttachmentStorage,
+    storeAttachment,
+    deleteStoredFiles,
+    getMessageAttachments,
+    formatAttachment
+};
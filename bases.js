@@ -0,0 +1,181 @@
+// SkyParty Player Bases
+// Every player has a base: a BASE_WIDTH x BASE_HEIGHT grid where each tile holds
+// at most one placed object, either a character they own or a decoration from
+// their inventory (character_inventory rows with item_type 'decoration'). Decorations
+// are bought with credits from the DECORATIONS catalogue; a decoration row can be
+// placed as many times as its quantity, a character once.
+// Layouts are saved whole together with the version they were edited from; a
+// save based on an older version is refused, so two open windows cannot
+// silently overwrite each other. Owners choose who may visit:
+//   everyone  any player, including signed-out visitors
+//   friends   the owner's friends
+//   nobody    only the owner
+// Visits by signed-in players are counted, once per visitor per VISIT_COOLDOWN_MINUTES.
+
+const BASE_WIDTH = 8;
+const BASE_HEIGHT = 6;
+const BASE_VISIBILITY_LEVELS = ['everyone', 'friends', 'nobody'];
+const PLACEABLE_KINDS = ['character', 'decoration'];
+const VISIT_COOLDOWN_MINUTES = 60;
+
+// Decorations players can buy for their base; prices are in credits
+const DECORATIONS = {
+    flowers: { name: 'Flowers', icon: '🌷', price: 15 },
+    rock: { name: 'Rock', icon: '🪨', price: 10 },
+    tree: { name: 'Tree', icon: '🌳', price: 40 },
+    lamp: { name: 'Lamp Post', icon: '🏮', price: 60 },
+    tent: { name: 'Tent', icon: '⛺', price: 80 },
+    fountain: { name: 'Fountain', icon: '⛲', price: 120 }
+};
+
+// The catalogue as a list: [{ id, name, icon, price }]
+function listDecorations() {
+    return Object.entries(DECORATIONS).map(([id, decoration]) => ({ id, ...decoration }));
+}
+
+// The player's base row, created empty on first use
+async function getBase(client, userId) {
+    await client.query(
+        'INSERT INTO player_bases (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING',
+        [userId]
+    );
+    const result = await client.query('SELECT * FROM player_bases WHERE user_id = $1', [userId]);
+    return result.rows[0];
+}
+
+// What the player can place: { characters: [{ id, name, icon }], decorations: [{ id, name, icon, quantity }] }.
+// Only decorations bought from the catalogue count.
+async function getPlaceableItems(client, userId, ownedCharacterIds) {
+    const characters = await client.query(
+        'SELECT id, name, icon FROM characters WHERE id = ANY($1::varchar[]) ORDER BY name',
+        [ownedCharacterIds]
+    );
+    const decorations = await client.query(`
+        SELECT id, item_name AS name, icon, COALESCE(quantity, 1) AS quantity
+        FROM character_inventory
+        WHERE user_id = $1 AND item_type = 'decoration' AND metadata ? 'decorationId'
+        ORDER BY acquired_date, id
+    `, [userId]);
+    return {
+        characters: characters.rows,
+        decorations: decorations.rows.map(row => ({ ...row, id: String(row.id) }))
+    };
+}
+
+// Add one of a catalogue decoration to the player's inventory, stacking on the row
+// already holding it. Must run inside a transaction, after the player has paid.
+async function addDecoration(client, userId, decorationId) {
+    const decoration = DECORATIONS[decorationId];
+    const existing = await client.query(`
+        SELECT id FROM character_inventory
+        WHERE user_id = $1 AND item_type = 'decoration' AND metadata->>'decorationId' = $2
+        ORDER BY id LIMIT 1
+        FOR UPDATE
+    `, [userId, decorationId]);
+    if (existing.rows.length > 0) {
+        await client.query(
+            'UPDATE character_inventory SET quantity = COALESCE(quantity, 1) + 1 WHERE id = $1',
+            [existing.rows[0].id]
+        );
+        return;
+    }
+    await client.query(`
+        INSERT INTO character_inventory (user_id, item_name, item_type, icon, price, source, quantity, metadata)
+        VALUES ($1, $2, 'decoration', $3, $4, 'purchase', 1, $5)
+    `, [userId, decoration.name, decoration.icon, decoration.price, JSON.stringify({ decorationId })]);
+}
+
+// Error message for a layout the player cannot save, or null. Items are { x, y, kind, id }.
+function validateLayout(layout, placeable) {
+    if (!Array.isArray(layout) || layout.length > BASE_WIDTH * BASE_HEIGHT) {
+        return 'The layout must be a list of placed items';
+    }
+
+    const tiles = new Set();
+    const placedCounts = new Map();
+    for (const item of layout) {
+        if (!item || !Number.isInteger(item.x) || !Number.isInteger(item.y) ||
+            item.x < 0 || item.y < 0 || item.x >= BASE_WIDTH || item.y >= BASE_HEIGHT) {
+            return `Items must sit on a tile of the ${BASE_WIDTH}x${BASE_HEIGHT} grid`;
+        }
+        if (tiles.has(`${item.x},${item.y}`)) {
+            return 'Only one item can go on each tile';
+        }
+        tiles.add(`${item.x},${item.y}`);
+
+        if (!PLACEABLE_KINDS.includes(item.kind)) {
+            return `Placed items must be one of: ${PLACEABLE_KINDS.join(', ')}`;
+        }
+        const key = `${item.kind}:${item.id}`;
+        placedCounts.set(key, (placedCounts.get(key) || 0) + 1);
+    }
+
+    for (const [key, count] of placedCounts) {
+        const [kind, id] = key.split(/:(.*)/);
+        const owned = kind === 'character'
+            ? placeable.characters.find(character => character.id === id) && 1
+            : (placeable.decorations.find(decoration => decoration.id === id) || {}).quantity;
+        if (!owned) {
+            return 'You can only place characters and decorations you own';
+        }
+        if (count > owned) {
+            return kind === 'character'
+                ? 'Each character can only be placed once'
+                : 'You have placed more of a decoration than you own';
+        }
+    }
+    return null;
+}
+
+// Stored items with their names and icons; items the player no longer owns are dropped
+function describeLayout(layout, placeable) {
+    return (layout || []).flatMap(item => {
+        const source = item.kind === 'character' ? placeable.characters : placeable.decorations;
+        const owned = source.find(entry => entry.id === String(item.id));
+        return owned ? [{ x: item.x, y: item.y, kind: item.kind, id: owned.id, name: owned.name, icon: owned.icon }] : [];
+    });
+}
+
+// Count a visit unless this visitor was counted recently; returns the visit count
+async function recordVisit(client, baseUserId, visitorId) {
+    const visit = await client.query(`
+        INSERT INTO base_visits (base_user_id, visitor_id)
+        SELECT $1, $2
+        WHERE NOT EXISTS (
+            SELECT 1 FROM base_visits
+            WHERE base_user_id = $1 AND visitor_id = $2 AND visited_at > NOW() - make_interval(mins => $3)
+        )
+        RETURNING id
+    `, [baseUserId, visitorId, VISIT_COOLDOWN_MINUTES]);
+
+    const result = await client.query(`
+        UPDATE player_bases SET visit_count = visit_count + $2
+        WHERE user_id = $1
+        RETURNING visit_count
+    `, [baseUserId, visit.rows.length]);
+    return result.rows[0].visit_count;
+}
+
+// Visits older than the cooldown are already in visit_count and no longer needed
+async function pruneBaseVisits(client) {
+    const result = await client.query(
+        'DELETE FROM base_visits WHERE visited_at <= NOW() - make_interval(mins => $1)',
+        [VISIT_COOLDOWN_MINUTES]
+    );
+    return result.rowCount;
+}
+
+module.exports = {
+    BASE_WIDTH,
+    BASE_HEIGHT,
+    BASE_VISIBILITY_LEVELS,
+    DECORATIONS,
+    listDecorations,
+    addDecoration,
+    getBase,
+    getPlaceableItems,
+    validateLayout,
+    describeLayout,
+    recordVisit,
+    pruneBaseVisits
+};
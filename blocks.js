@@ -0,0 +1,74 @@
+// SkyParty Blocks and Mutes
+// A block stops the blocked user from messaging or gifting the blocker and hides
+// the blocker from their user search. Blocking works both ways for direct
+// messages: the blocker has to unblock before writing to that user again.
+// A mute only silences notifications; messages and gifts still arrive.
+
+const LISTS = {
+    block: { table: 'user_blocks', column: 'blocked_user_id' },
+    mute: { table: 'user_mutes', column: 'muted_user_id' }
+};
+
+// { blocked: userId blocked otherUserId, blockedBy: otherUserId blocked userId }
+async function getBlockStatus(client, userId, otherUserId) {
+    const result = await client.query(`
+        SELECT user_id FROM user_blocks
+        WHERE (user_id = $1 AND blocked_user_id = $2) OR (user_id = $2 AND blocked_user_id = $1)
+    `, [userId, otherUserId]);
+
+    return {
+        blocked: result.rows.some(row => String(row.user_id) === String(userId)),
+        blockedBy: result.rows.some(row => String(row.user_id) === String(otherUserId))
+    };
+}
+
+// Ids among userIds that have blocked userId
+async function getBlockersAmong(client, userId, userIds) {
+    const result = await client.query(
+        'SELECT user_id FROM user_blocks WHERE blocked_user_id = $1 AND user_id = ANY($2::integer[])',
+        [userId, userIds]
+    );
+    return result.rows.map(row => row.user_id);
+}
+
+// The users on one of userId's lists ('block' or 'mute'), most recent first
+async function listUsers(client, list, userId) {
+    const { table, column } = LISTS[list];
+    const result = await client.query(`
+        SELECT u.id, u.username, l.created_at
+        FROM ${table} l
+        JOIN users u ON u.id = l.${column}
+        WHERE l.user_id = $1
+        ORDER BY l.created_at DESC, l.id DESC
+    `, [userId]);
+    return result.rows.map(row => ({ id: row.id, username: row.username, since: row.created_at.toISOString() }));
+}
+
+// Returns false if the user was already on the list
+async function addToList(client, list, userId, targetUserId) {
+    const { table, column } = LISTS[list];
+    const result = await client.query(`
+        INSERT INTO ${table} (user_id, ${column}) VALUES ($1, $2)
+        ON CONFLICT (user_id, ${column}) DO NOTHING
+        RETURNING id
+    `, [userId, targetUserId]);
+    return result.rows.length > 0;
+}
+
+// Returns false if the user was not on the list
+async function removeFromList(client, list, userId, targetUserId) {
+    const { table, column } = LISTS[list];
+    const result = await client.query(
+        `DELETE FROM ${table} WHERE user_id = $1 AND ${column} = $2 RETURNING id`,
+        [userId, targetUserId]
+    );
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    getBlockStatus,
+    getBlockersAmong,
+    listUsers,
+    addToList,
+    removeFromList
+};
@@ -0,0 +1,223 @@
+// SkyParty Content Filter
+// Checks usernames, chat messages and gift notes against named word lists.
+// Each field picks the lists that apply to it and a policy for matches:
+//   reject  refuse the text
+//   mask    replace matched words with asterisks
+//   flag    keep the text and file a report for the moderators
+// Text is normalised before matching (case, accents, Unicode lookalikes,
+// leetspeak, repeated letters and s p a c e d letters), so the lists only hold
+// plain spellings. A term matches whole words; a leading or trailing * lets it
+// match inside longer words ("*fuck*" catches "clusterfucked").
+// The configuration lives in app_settings and can be changed at runtime by an
+// admin. Changes apply to this process immediately and to others on restart.
+
+const SETTINGS_KEY = 'content_filter';
+const FILTER_FIELDS = ['username', 'message', 'gift'];
+const FIELD_POLICIES = {
+    username: ['reject', 'flag'],
+    message: ['reject', 'mask', 'flag'],
+    gift: ['reject', 'mask', 'flag']
+};
+const MAX_TERMS = 2000;
+const MAX_TERM_LENGTH = 50;
+const LIST_NAME_PATTERN = /^[a-z0-9_-]{1,30}$/;
+
+const DEFAULT_FILTER_CONFIG = {
+    lists: {
+        profanity: [
+            '*fuck*', 'shit*', '*bullshit*', 'bitch*', 'cunt*', 'ass', 'asses', '*asshole*', 'dick', 'dicks', '*dickhead*',
+            'cock', 'cocks', 'bastard*', 'whore*', 'slut*', 'wank*', 'twat*', 'piss', 'pissed', 'prick*', 'motherf*'
+        ],
+        // Names that could pass for staff
+        reserved: ['admin*', 'administrator*', 'moderator*', 'mod', 'staff', 'skyparty*', 'official*', 'support', 'system']
+    },
+    fields: {
+        username: { policy: 'reject', lists: ['profanity', 'reserved'] },
+        message: { policy: 'mask', lists: ['profanity'] },
+        gift: { policy: 'mask', lists: ['profanity'] }
+    }
+};
+
+// Characters from other scripts that look like Latin letters, after NFKD and lower-casing
+const LOOKALIKES = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'і': 'i', 'ј': 'j', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+    'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'ԁ': 'd', 'ɡ': 'g', 'ı': 'i', 'ł': 'l', 'ø': 'o',
+    'đ': 'd', 'ß': 'ss', 'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+    'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w'
+};
+
+const LEETSPEAK = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+    '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e'
+};
+
+// How each field is split into words; usernames also break on _ . and -
+const WORD_PATTERNS = {
+    username: /[^\s_.-]+/g,
+    message: /\S+/g,
+    gift: /\S+/g
+};
+
+// Plain lower-case letters only; punctuation around a word is not leetspeak
+function normalizeWord(word) {
+    const trimmed = word.replace(/^['"([{]+/, '').replace(/[.,!?;:'")\]}…]+$/, '');
+    let normalized = '';
+    for (const char of trimmed.normalize('NFKD').toLowerCase()) {
+        const mapped = LOOKALIKES[char] || LEETSPEAK[char] || char;
+        if (/^[a-z]+$/.test(mapped)) normalized += mapped;
+    }
+    return normalized;
+}
+
+// Every letter may repeat ("fuuuck"); the * ends say whether the term may sit inside a longer word
+function compileTerm(term) {
+    const body = normalizeWord(term.replace(/^\*|\*$/g, ''));
+    if (!body) return null;
+    const letters = [...body].map(letter => `${letter}+`).join('');
+    return new RegExp(`${term.startsWith('*') ? '' : '^'}${letters}${term.endsWith('*') ? '' : '$'}`);
+}
+
+// Error message for an invalid configuration, or null
+function validateFilterConfig(config) {
+    if (!config || typeof config.lists !== 'object' || typeof config.fields !== 'object' || !config.lists || !config.fields) {
+        return 'The filter needs lists and fields';
+    }
+
+    let termCount = 0;
+    for (const [name, terms] of Object.entries(config.lists)) {
+        if (!LIST_NAME_PATTERN.test(name)) {
+            return `List names may only use a-z, 0-9, _ and - (got "${name}")`;
+        }
+        if (!Array.isArray(terms)) {
+            return `List "${name}" must be an array of words`;
+        }
+        for (const term of terms) {
+            if (typeof term !== 'string' || term.length > MAX_TERM_LENGTH || !compileTerm(term)) {
+                return `List "${name}" has an invalid entry: ${JSON.stringify(term)}`;
+            }
+        }
+        termCount += terms.length;
+    }
+    if (termCount > MAX_TERMS) {
+        return `The lists can hold at most ${MAX_TERMS} words in total`;
+    }
+
+    for (const field of FILTER_FIELDS) {
+        const rules = config.fields[field];
+        if (!rules || !FIELD_POLICIES[field].includes(rules.policy)) {
+            return `The ${field} policy must be one of: ${FIELD_POLICIES[field].join(', ')}`;
+        }
+        if (!Array.isArray(rules.lists) || rules.lists.some(name => !config.lists[name])) {
+            return `The ${field} field refers to an unknown list`;
+        }
+    }
+    return null;
+}
+
+function compileFilter(config) {
+    const lists = {};
+    for (const [name, terms] of Object.entries(config.lists)) {
+        lists[name] = terms.map(term => ({ term, list: name, pattern: compileTerm(term) }));
+    }
+    return { config, lists };
+}
+
+let activeFilter = compileFilter(DEFAULT_FILTER_CONFIG);
+
+// Use the saved configuration if there is one; a broken one leaves the current rules in place
+async function loadContentFilter(client) {
+    const result = await client.query('SELECT value FROM app_settings WHERE key = $1', [SETTINGS_KEY]);
+    if (result.rows.length === 0) return;
+
+    const error = validateFilterConfig(result.rows[0].value);
+    if (error) {
+        console.log(`⚠️ Ignoring saved content filter: ${error}`);
+        return;
+    }
+    activeFilter = compileFilter(result.rows[0].value);
+}
+
+// The config must already have passed validateFilterConfig
+async function saveContentFilter(client, config, updatedBy) {
+    const saved = { lists: config.lists, fields: config.fields };
+    await client.query(`
+        INSERT INTO app_settings (key, value, updated_by, updated_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+        ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = EXCLUDED.updated_at
+    `, [SETTINGS_KEY, JSON.stringify(saved), updatedBy]);
+    activeFilter = compileFilter(saved);
+}
+
+function getContentFilterConfig() {
+    return activeFilter.config;
+}
+
+// Words to test: each word on its own, plus runs of single letters joined up
+function candidateWords(field, text) {
+    const words = [...text.matchAll(WORD_PATTERNS[field])].map(match => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        normalized: normalizeWord(match[0])
+    }));
+
+    const candidates = words.filter(word => word.normalized);
+    let run = [];
+    for (const word of [...words, { normalized: '' }]) {
+        if (word.normalized.length === 1) {
+            run.push(word);
+            continue;
+        }
+        if (run.length > 1) {
+            candidates.push({
+                start: run[0].start,
+                end: run[run.length - 1].end,
+                normalized: run.map(letter => letter.normalized).join('')
+            });
+        }
+        run = [];
+    }
+    return candidates;
+}
+
+function maskSpans(text, matches) {
+    let masked = text;
+    for (const match of [...matches].sort((a, b) => b.start - a.start)) {
+        const stars = Array.from(masked.slice(match.start, match.end), char => (/\s/.test(char) ? char : '*')).join('');
+        masked = masked.slice(0, match.start) + stars + masked.slice(match.end);
+    }
+    return masked;
+}
+
+// { action: 'allow' or the field's policy, text: the text to store, matches: [{ list, term, text }] }
+function checkText(field, text) {
+    const rules = activeFilter.config.fields[field];
+    const terms = rules.lists.flatMap(name => activeFilter.lists[name]);
+
+    const matches = [];
+    for (const candidate of candidateWords(field, text)) {
+        const hit = terms.find(entry => entry.pattern.test(candidate.normalized));
+        if (hit) {
+            matches.push({ list: hit.list, term: hit.term, start: candidate.start, end: candidate.end });
+        }
+    }
+
+    if (matches.length === 0) {
+        return { action: 'allow', text, matches: [] };
+    }
+    return {
+        action: rules.policy,
+        text: rules.policy === 'mask' ? maskSpans(text, matches) : text,
+        matches: matches.map(match => ({ list: match.list, term: match.term, text: text.slice(match.start, match.end) }))
+    };
+}
+
+module.exports = {
+    FILTER_FIELDS,
+    DEFAULT_FILTER_CONFIG,
+    normalizeWord,
+    validateFilterConfig,
+    loadContentFilter,
+    saveContentFilter,
+    getContentFilterConfig,
+    checkText
+};
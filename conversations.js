@@ -0,0 +1,158 @@
+// SkyParty Conversations
+// Direct messages and group chats share one model: a conversations row plus a
+// conversation_members row per participant. A direct conversation is an unnamed
+// pair; a group has a name and an owner who adds and removes members. When the
+// owner leaves, the longest-standing member takes over. Conversations with no
+// members left are deleted. Any member may react to messages.
+
+const crypto = require('crypto');
+
+const MAX_GROUP_MEMBERS = 50;
+const GROUP_NAME_MAX_LENGTH = 100;
+// Reactions are limited to a fixed palette so every client can render them
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+// The conversation plus this user's role in it, or null if they are not a member
+async function getMembership(client, conversationId, userId) {
+    const result = await client.query(`
+        SELECT c.id, c.is_group, c.name, m.role
+        FROM conversations c
+        JOIN conversation_members m ON m.conversation_id = c.id
+        WHERE c.id = $1 AND m.user_id = $2
+    `, [conversationId, userId]);
+    return result.rows[0] || null;
+}
+
+async function getMemberIds(client, conversationId) {
+    const result = await client.query(
+        'SELECT user_id FROM conversation_members WHERE conversation_id = $1 ORDER BY joined_at, id',
+        [conversationId]
+    );
+    return result.rows.map(row => row.user_id);
+}
+
+// The pair's direct conversation, created on first contact. Must run inside a transaction.
+async function findOrCreateDirectConversation(client, userId, otherUserId) {
+    const existing = await client.query(`
+        SELECT c.id FROM conversations c
+        JOIN conversation_members a ON a.conversation_id = c.id AND a.user_id = $1
+        JOIN conversation_members b ON b.conversation_id = c.id AND b.user_id = $2
+        WHERE NOT c.is_group
+        ORDER BY c.created_at
+        LIMIT 1
+    `, [userId, otherUserId]);
+    if (existing.rows.length > 0) return existing.rows[0].id;
+
+    // Random ids, so renaming an account never collides with an existing conversation
+    const conversationId = crypto.randomUUID();
+    await client.query(
+        'INSERT INTO conversations (id, is_group, created_by) VALUES ($1, FALSE, $2)',
+        [conversationId, userId]
+    );
+    await addMembers(client, conversationId, [userId, otherUserId]);
+    return conversationId;
+}
+
+// Must run inside a transaction
+async function createGroupConversation(client, ownerId, name, memberIds) {
+    const conversationId = crypto.randomUUID();
+    await client.query(
+        'INSERT INTO conversations (id, is_group, name, created_by) VALUES ($1, TRUE, $2, $3)',
+        [conversationId, name, ownerId]
+    );
+    await client.query(
+        "INSERT INTO conversation_members (conversation_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [conversationId, ownerId]
+    );
+    await addMembers(client, conversationId, memberIds);
+    return conversationId;
+}
+
+// Returns the ids that were not members yet
+async function addMembers(client, conversationId, userIds) {
+    const result = await client.query(`
+        INSERT INTO conversation_members (conversation_id, user_id)
+        SELECT $1, unnest($2::integer[])
+        ON CONFLICT (conversation_id, user_id) DO NOTHING
+        RETURNING user_id
+    `, [conversationId, userIds]);
+    return result.rows.map(row => row.user_id);
+}
+
+// Remove a member, hand a group without an owner to its longest-standing member and
+// delete the conversation once nobody is left. Must run inside a transaction.
+async function removeMember(client, conversationId, userId) {
+    const removed = await client.query(
+        'DELETE FROM conversation_members WHERE conversation_id = $1 AND user_id = $2 RETURNING role',
+        [conversationId, userId]
+    );
+    if (removed.rows.length === 0) return { removed: false, deleted: false };
+
+    const remaining = await getMemberIds(client, conversationId);
+    if (remaining.length === 0) {
+        await client.query('DELETE FROM conversations WHERE id = $1', [conversationId]);
+        return { removed: true, deleted: true };
+    }
+
+    if (removed.rows[0].role === 'owner') {
+        await client.query(`
+            UPDATE conversation_members SET role = 'owner'
+            WHERE conversation_id = $1 AND user_id = $2
+        `, [conversationId, remaining[0]]);
+    }
+    return { removed: true, deleted: false };
+}
+
+// Messages from others after the member's read cursor (and after they joined), per conversation.
+// excludeMuted leaves out messages from users this user has muted.
+async function getUnreadCounts(client, userId, { conversationId = null, excludeMuted = false } = {}) {
+    const result = await client.query(`
+        SELECT m.conversation_id, COUNT(*) AS unread_count
+        FROM conversation_members me
+        JOIN messages m ON m.conversation_id = me.conversation_id
+        LEFT JOIN conversation_reads r ON r.conversation_id = me.conversation_id AND r.user_id = me.user_id
+        LEFT JOIN messages last_read ON last_read.id = r.last_read_message_id
+        WHERE me.user_id = $1
+          AND ($2::varchar IS NULL OR me.conversation_id = $2)
+          AND m.sender_id IS DISTINCT FROM $1
+          AND m.created_at >= me.joined_at
+          AND (last_read.id IS NULL OR (m.created_at, m.id) > (last_read.created_at, last_read.id))
+          AND NOT ($3 AND m.sender_id IN (SELECT muted_user_id FROM user_mutes WHERE user_id = $1))
+        GROUP BY m.conversation_id
+    `, [userId, conversationId, excludeMuted]);
+
+    return new Map(result.rows.map(row => [row.conversation_id, parseInt(row.unread_count)]));
+}
+
+// Reactions per message as [{ emoji, count, userIds }], in the order each emoji was first used
+async function getReactionSummaries(client, messageIds) {
+    const result = await client.query(`
+        SELECT message_id, emoji, COUNT(*) AS count,
+               array_agg(user_id ORDER BY created_at, id) AS user_ids, MIN(created_at) AS first_reacted_at
+        FROM message_reactions
+        WHERE message_id = ANY($1::uuid[])
+        GROUP BY message_id, emoji
+        ORDER BY first_reacted_at, emoji
+    `, [messageIds]);
+
+    const summaries = new Map();
+    for (const row of result.rows) {
+        if (!summaries.has(row.message_id)) summaries.set(row.message_id, []);
+        summaries.get(row.message_id).push({ emoji: row.emoji, count: parseInt(row.count), userIds: row.user_ids });
+    }
+    return summaries;
+}
+
+module.exports = {
+    MAX_GROUP_MEMBERS,
+    GROUP_NAME_MAX_LENGTH,
+    REACTION_EMOJIS,
+    getMembership,
+    getMemberIds,
+    findOrCreateDirectConversation,
+    createGroupConversation,
+    addMembers,
+    removeMember,
+    getUnreadCounts,
+    getReactionSummaries
+};
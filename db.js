@@ -0,0 +1,657 @@
+// SkyParty Database
+// Shared PostgreSQL pool and schema setup used by the server and import scripts
+
+const { Pool } = require('pg');
+
+// Database connection
+console.log('🔍 DATABASE_URL:', process.env.DATABASE_URL ? 'Set' : 'Not set');
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || 'postgresql://localhost:5432/skyparty'
+});
+
+// Make a users foreign key created with ON DELETE CASCADE set the column to NULL instead
+async function setNullOnUserDelete(client, table, column) {
+    const constraint = `${table}_${column}_fkey`;
+    const existing = await client.query(
+        "SELECT confdeltype FROM pg_constraint WHERE conname = $1 AND conrelid = $2::regclass",
+        [constraint, table]
+    );
+    if (existing.rows.length === 0 || existing.rows[0].confdeltype === 'n') return;
+    
+    await client.query(`
+        ALTER TABLE ${table}
+            DROP CONSTRAINT ${constraint},
+            ADD CONSTRAINT ${constraint} FOREIGN KEY (${column}) REFERENCES users(id) ON DELETE SET NULL
+    `);
+}
+
+// Create database tables
+async function createTables() {
+    try {
+        console.log('🔧 Creating database tables...');
+        console.log('🔍 Attempting to connect to database...');
+        
+        const client = await pool.connect();
+        console.log('✅ Database connection successful!');
+        
+        // Create users table
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                username VARCHAR(50) UNIQUE NOT NULL,
+                email VARCHAR(100) UNIQUE NOT NULL,
+                password_hash VARCHAR(255) NOT NULL,
+                currentCharacter VARCHAR(50) DEFAULT 'kitty',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_login TIMESTAMP
+            )
+        `);
+        
+        // Add currentCharacter column if it doesn't exist (migration)
+        try {
+            await client.query(`
+                ALTER TABLE users ADD COLUMN IF NOT EXISTS currentCharacter VARCHAR(50) DEFAULT 'kitty'
+            `);
+            console.log('✅ Added currentCharacter column to users table');
+        } catch (error) {
+            console.log('⚠️ currentCharacter column already exists or error:', error.message);
+        }
+        
+        // Add token_version column used to revoke refresh tokens (migration)
+        await client.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER DEFAULT 0
+        `);
+        
+        // Activation and JSON import columns (migration)
+        await client.query(`
+            ALTER TABLE users
+                ADD COLUMN IF NOT EXISTS activated BOOLEAN DEFAULT FALSE,
+                ADD COLUMN IF NOT EXISTS activation_code VARCHAR(50),
+                ADD COLUMN IF NOT EXISTS activated_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS legacy_id VARCHAR(36) UNIQUE
+        `);
+        
+        // Role used for access control: player, moderator or admin (migration)
+        await client.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'player'
+        `);
+        
+        // Email verification columns (migration)
+        await client.query(`
+            ALTER TABLE users
+                ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT FALSE,
+                ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP
+        `);
+        
+        // Privacy settings: only accept direct messages or gifts from friends (migration)
+        await client.query(`
+            ALTER TABLE users
+                ADD COLUMN IF NOT EXISTS friends_only_messages BOOLEAN DEFAULT FALSE,
+                ADD COLUMN IF NOT EXISTS friends_only_gifts BOOLEAN DEFAULT FALSE
+        `);
+        
+        // Presence: time of the last client heartbeat and the status it gave (migration)
+        await client.query(`
+            ALTER TABLE users
+                ADD COLUMN IF NOT EXISTS last_seen TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS presence_status VARCHAR(10) NOT NULL DEFAULT 'offline',
+                ADD COLUMN IF NOT EXISTS hide_presence BOOLEAN DEFAULT FALSE
+        `);
+        
+        // Public profile: bio, featured characters and who may see each field (migration)
+        await client.query(`
+            ALTER TABLE users
+                ADD COLUMN IF NOT EXISTS bio VARCHAR(200),
+                ADD COLUMN IF NOT EXISTS profile_showcase JSONB DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS profile_visibility JSONB DEFAULT '{}'
+        `);
+        
+        // Trigram index for ranked and fuzzy username search (/api/users/search). Roles that
+        // cannot create extensions get substring-only search instead.
+        try {
+            await client.query(`
+                CREATE EXTENSION IF NOT EXISTS pg_trgm
+            `);
+            
+            await client.query(`
+                CREATE INDEX IF NOT EXISTS idx_users_username_trgm ON users USING GIN (LOWER(username) gin_trgm_ops)
+            `);
+        } catch (error) {
+            console.log('⚠️ pg_trgm unavailable, user search will only match substrings:', error.message);
+        }
+        
+        // Create user_data table for game data
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_data (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                data_type VARCHAR(50) NOT NULL,
+                data_value JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user_id, data_type)
+            )
+        `);
+        
+        // Create conversations table
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS conversations (
+                id VARCHAR(255) PRIMARY KEY,
+                participant1_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                participant2_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Group chats have a name; direct conversations are unnamed pairs.
+        // participant1_id/participant2_id are only kept for conversations created before
+        // conversation_members existed; membership is read from conversation_members.
+        await client.query(`
+            ALTER TABLE conversations
+                ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT FALSE,
+                ADD COLUMN IF NOT EXISTS name VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+        `);
+        
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS conversation_members (
+                id SERIAL PRIMARY KEY,
+                conversation_id VARCHAR(255) REFERENCES conversations(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                role VARCHAR(20) NOT NULL DEFAULT 'member',
+                joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(conversation_id, user_id)
+            )
+        `);
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_conversation_members_user ON conversation_members(user_id)
+        `);
+        
+        // Give two-person conversations from before group chats their member rows
+        await client.query(`
+            INSERT INTO conversation_members (conversation_id, user_id, joined_at)
+            SELECT id, participant1_id, created_at FROM conversations WHERE participant1_id IS NOT NULL
+            UNION
+            SELECT id, participant2_id, created_at FROM conversations WHERE participant2_id IS NOT NULL
+            ON CONFLICT (conversation_id, user_id) DO NOTHING
+        `);
+        
+        // Create messages table
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS messages (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                conversation_id VARCHAR(255) REFERENCES conversations(id) ON DELETE CASCADE,
+                sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                recipient_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                content TEXT NOT NULL,
+                read_status BOOLEAN DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Messages outlive a deleted sender or recipient (migration from ON DELETE CASCADE)
+        await setNullOnUserDelete(client, 'messages', 'sender_id');
+        await setNullOnUserDelete(client, 'messages', 'recipient_id');
+        
+        // Message history is paged per conversation in (created_at, id) order
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_messages_conversation_created ON messages(conversation_id, created_at, id)
+        `);
+        
+        // Full-text index for message search; the text search configuration must match /api/messages/search
+        await client.query(`
+            ALTER TABLE messages
+                ADD COLUMN IF NOT EXISTS content_tsv TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED
+        `);
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_messages_content_tsv ON messages USING GIN (content_tsv)
+        `);
+        
+        // Edited and deleted markers; deleted messages stay as tombstones in the history
+        await client.query(`
+            ALTER TABLE messages
+                ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP
+        `);
+        
+        // Earlier versions of edited messages
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS message_edits (
+                id SERIAL PRIMARY KEY,
+                message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+                previous_content TEXT NOT NULL,
+                edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id, edited_at)
+        `);
+        
+        // One row per member per emoji on a message
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS message_reactions (
+                id SERIAL PRIMARY KEY,
+                message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                emoji VARCHAR(16) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(message_id, user_id, emoji)
+            )
+        `);
+        
+        // Uploaded files; message_id stays NULL until the upload is sent with a message
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS attachments (
+                id UUID PRIMARY KEY,
+                uploader_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+                filename VARCHAR(255) NOT NULL,
+                mime_type VARCHAR(100) NOT NULL,
+                size_bytes INTEGER NOT NULL,
+                storage_key VARCHAR(255) NOT NULL,
+                thumbnail_key VARCHAR(255),
+                width INTEGER,
+                height INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_attachments_message ON attachments(message_id)
+        `);
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_attachments_uploader ON attachments(uploader_id)
+        `);
+        
+        // Each participant's read position in a conversation
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS conversation_reads (
+                id SERIAL PRIMARY KEY,
+                conversation_id VARCHAR(255) REFERENCES conversations(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                last_read_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+                last_read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(conversation_id, user_id)
+            )
+        `);
+        
+        // Create characters table (master character definitions)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS characters (
+                id VARCHAR(50) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                icon VARCHAR(10) NOT NULL,
+                description TEXT,
+                price INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Create user_characters table (user's owned characters)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_characters (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                character_id VARCHAR(50) REFERENCES characters(id) ON DELETE CASCADE,
+                acquired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                acquired_via VARCHAR(20) DEFAULT 'purchase',
+                quantity INTEGER DEFAULT 1,
+                UNIQUE(user_id, character_id)
+            )
+        `);
+        
+        // Create character_inventory table (detailed inventory tracking)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS character_inventory (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                character_id VARCHAR(50) REFERENCES characters(id) ON DELETE CASCADE,
+                item_name VARCHAR(100) NOT NULL,
+                item_type VARCHAR(50) DEFAULT 'character',
+                icon VARCHAR(10),
+                description TEXT,
+                price INTEGER DEFAULT 0,
+                acquired_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                source VARCHAR(20) DEFAULT 'purchase',
+                quantity INTEGER DEFAULT 1,
+                metadata JSONB
+            )
+        `);
+        
+        // Users who may not message, gift or find the blocker
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_blocks (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                blocked_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user_id, blocked_user_id)
+            )
+        `);
+        
+        // Users whose messages and gifts do not raise notifications
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_mutes (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                muted_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user_id, muted_user_id)
+            )
+        `);
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_user_id)
+        `);
+        
+        // Friend requests and friendships; status is 'pending' until the addressee accepts
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS friendships (
+                id SERIAL PRIMARY KEY,
+                requester_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                addressee_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                accepted_at TIMESTAMP
+            )
+        `);
+        
+        // One row per pair, whichever way the request went
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_friendships_pair
+            ON friendships (LEAST(requester_id, addressee_id), GREATEST(requester_id, addressee_id))
+        `);
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_friendships_addressee ON friendships(addressee_id)
+        `);
+        
+        // Player bases: the saved grid layout, who may visit and how often they have
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS player_bases (
+                user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                layout JSONB NOT NULL DEFAULT '[]',
+                version INTEGER NOT NULL DEFAULT 0,
+                visibility VARCHAR(20) NOT NULL DEFAULT 'everyone',
+                visit_count INTEGER NOT NULL DEFAULT 0,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Recent visits, so repeat visits are only counted once per hour
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS base_visits (
+                id SERIAL PRIMARY KEY,
+                base_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                visitor_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                visited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_base_visits_base_visitor ON base_visits(base_user_id, visitor_id, visited_at)
+        `);
+        
+        // Each player's recent user searches; one row per search text, whatever its case
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS search_history (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                query VARCHAR(50) NOT NULL,
+                searched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_search_history_user_query ON search_history(user_id, LOWER(query))
+        `);
+        
+        // Notification feed; data holds what each entry links to and shows
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                type VARCHAR(30) NOT NULL,
+                actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                data JSONB NOT NULL DEFAULT '{}',
+                read_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at, id)
+        `);
+        
+        // New messages add to the conversation's unread entry instead of starting another
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_unread_conversation
+            ON notifications(user_id, (data->>'conversationId'))
+            WHERE type = 'message' AND read_at IS NULL
+        `);
+        
+        // Create gifts table (fresh new gift system)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS gifts (
+                id SERIAL PRIMARY KEY,
+                sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                recipient_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                item_type VARCHAR(50) NOT NULL DEFAULT 'character',
+                item_name VARCHAR(100) NOT NULL,
+                item_icon VARCHAR(10),
+                item_description TEXT,
+                item_price INTEGER DEFAULT 0,
+                message TEXT,
+                status VARCHAR(20) DEFAULT 'pending',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                claimed_at TIMESTAMP
+            )
+        `);
+        
+        // Gifts stay claimable after their sender's account is deleted (migration from ON DELETE CASCADE)
+        await setNullOnUserDelete(client, 'gifts', 'sender_id');
+        
+        // The character a character gift holds; its details are copied into the item columns (migration)
+        await client.query(`
+            ALTER TABLE gifts ADD COLUMN IF NOT EXISTS character_id VARCHAR(50) REFERENCES characters(id) ON DELETE SET NULL
+        `);
+        
+        // Columns read by /api/user/:userId/characters (migration)
+        await client.query(`
+            ALTER TABLE characters
+                ADD COLUMN IF NOT EXISTS rarity VARCHAR(20) DEFAULT 'common',
+                ADD COLUMN IF NOT EXISTS category VARCHAR(50) DEFAULT 'character',
+                ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE
+        `);
+        
+        // Create transactions table (credit history)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS transactions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                amount INTEGER NOT NULL,
+                type VARCHAR(20) NOT NULL,
+                balance INTEGER NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Create game_sessions table
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS game_sessions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                game_type VARCHAR(50) NOT NULL,
+                earned_credits INTEGER DEFAULT 0,
+                duration INTEGER,
+                played_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        // Create credits ledger tables (double-entry: each transaction's entries sum to zero)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS ledger_transactions (
+                id SERIAL PRIMARY KEY,
+                reason VARCHAR(30) NOT NULL,
+                reference_id VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS ledger_entries (
+                id SERIAL PRIMARY KEY,
+                transaction_id INTEGER REFERENCES ledger_transactions(id) ON DELETE CASCADE,
+                account VARCHAR(50) NOT NULL,
+                user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                amount INTEGER NOT NULL
+            )
+        `);
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_ledger_entries_user ON ledger_entries(user_id)
+        `);
+        
+        // A payment reference is credited at most once (/api/credits/purchase)
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_transactions_purchase_reference
+            ON ledger_transactions(reference_id)
+            WHERE reason = 'purchase' AND reference_id LIKE 'order:%'
+        `);
+        
+        // When the user's balance was opened on the ledger (migration)
+        await client.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS ledger_opened_at TIMESTAMP
+        `);
+
+        // License keys are stored as SHA-256 hashes; only key_hint is kept readable
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS license_keys (
+                id SERIAL PRIMARY KEY,
+                key_hash VARCHAR(64) UNIQUE NOT NULL,
+                key_hint VARCHAR(4) NOT NULL,
+                license_type VARCHAR(20) NOT NULL,
+                max_seats INTEGER NOT NULL DEFAULT 1,
+                expires_at TIMESTAMP,
+                batch_id VARCHAR(36),
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS license_redemptions (
+                id SERIAL PRIMARY KEY,
+                license_id INTEGER REFERENCES license_keys(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(license_id, user_id)
+            )
+        `);
+
+        // Single-use email verification and password reset tokens, stored hashed
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS email_tokens (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                purpose VARCHAR(20) NOT NULL,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                used_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Server-wide settings that admins change at runtime, e.g. the content filter
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS app_settings (
+                key VARCHAR(50) PRIMARY KEY,
+                value JSONB NOT NULL,
+                updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Player reports; status is 'open' until a moderator dismisses or acts on it
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS reports (
+                id SERIAL PRIMARY KEY,
+                reporter_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                target_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                reason VARCHAR(30) NOT NULL,
+                details TEXT,
+                status VARCHAR(20) NOT NULL DEFAULT 'open',
+                resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                resolved_at TIMESTAMP,
+                resolution_note TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at)
+        `);
+
+        // Messages quoted as evidence, copied so later edits or deletes cannot hide them
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS report_messages (
+                id SERIAL PRIMARY KEY,
+                report_id INTEGER REFERENCES reports(id) ON DELETE CASCADE,
+                message_id UUID,
+                conversation_id VARCHAR(255),
+                content TEXT NOT NULL,
+                sent_at TIMESTAMP
+            )
+        `);
+
+        // Warnings, mutes, suspensions and bans; expires_at is NULL for permanent ones
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_sanctions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                type VARCHAR(20) NOT NULL,
+                reason TEXT NOT NULL,
+                report_id INTEGER REFERENCES reports(id) ON DELETE SET NULL,
+                issued_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                expires_at TIMESTAMP,
+                acknowledged_at TIMESTAMP,
+                revoked_at TIMESTAMP,
+                revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_user_sanctions_user ON user_sanctions(user_id)
+        `);
+
+        await client.query(`
+            INSERT INTO characters (id, name, icon, description, price) VALUES
+            ('kitty', 'Kitty', '🐱', 'A cute and friendly kitty character. Perfect for beginners!', 0),
+            ('dragon', 'Dragon', '🐉', 'A powerful dragon with mystical abilities.', 500),
+            ('robot', 'Robot', '🤖', 'An advanced AI robot companion.', 300),
+            ('ninja', 'Ninja', '🥷', 'A stealthy ninja warrior.', 400),
+            ('wizard', 'Wizard', '🧙', 'A wise wizard with magical powers.', 600),
+            ('pirate', 'Pirate', '🏴‍☠️', 'A swashbuckling pirate adventurer.', 350),
+            ('bear', 'Bear', '🐻', 'A strong and cuddly bear companion.', 250),
+            ('unicorn', 'Unicorn', '🦄', 'A magical unicorn with healing powers.', 800),
+            ('rabbit', 'Rabbit', '🐰', 'A quick and agile rabbit friend.', 200),
+            ('fox', 'Fox', '🦊', 'A clever and cunning fox.', 300),
+            ('owl', 'Owl', '🦉', 'A wise owl with night vision.', 400),
+            ('wolf', 'Wolf', '🐺', 'A loyal wolf pack leader.', 450)
+            ON CONFLICT (id) DO NOTHING
+        `);
+        
+        client.release();
+        console.log('✅ Database tables created successfully!');
+    } catch (error) {
+        console.error('❌ Error creating tables:', error.message);
+    }
+}
+
+module.exports = { pool, createTables };
@@ -0,0 +1,181 @@
+// SkyParty Friends
+// A friendship starts as a pending request from one player to another. The
+// recipient accepts or declines it, and the sender can cancel it while it is
+// pending. Declining, cancelling and unfriending all delete the row, so either
+// player can send a new request later. Sending a request to someone who already
+// asked you accepts theirs. Players can restrict direct messages and gifts to
+// friends only.
+
+const MAX_FRIENDS = 500;
+const MAX_PENDING_REQUESTS = 50;
+
+// Privacy settings and the users column holding each
+const FRIENDS_ONLY_SETTINGS = {
+    messages: 'friends_only_messages',
+    gifts: 'friends_only_gifts'
+};
+
+// The friendship row between the two users in either direction, or null
+async function getFriendship(client, userId, otherUserId) {
+    const result = await client.query(`
+        SELECT * FROM friendships
+        WHERE (requester_id = $1 AND addressee_id = $2) OR (requester_id = $2 AND addressee_id = $1)
+    `, [userId, otherUserId]);
+    return result.rows[0] || null;
+}
+
+async function countFriendships(client, userId, status, { outgoingOnly = false } = {}) {
+    const result = await client.query(`
+        SELECT COUNT(*) AS count FROM friendships
+        WHERE status = $2 AND (requester_id = $1 OR (NOT $3 AND addressee_id = $1))
+    `, [userId, status, outgoingOnly]);
+    return parseInt(result.rows[0].count);
+}
+
+// The other user of each friendship, with the character they are currently playing as
+function formatFriendUser(row) {
+    return {
+        id: row.user_id,
+        username: row.username,
+        character: {
+            id: row.character_id,
+            name: row.character_name || row.character_id,
+            icon: row.character_icon || '🐱'
+        }
+    };
+}
+
+const FRIEND_USER_COLUMNS = `
+    u.id AS user_id, u.username, u.currentCharacter AS character_id,
+    c.name AS character_name, c.icon AS character_icon
+`;
+
+// Accepted friends, most recent first
+async function listFriends(client, userId) {
+    const result = await client.query(`
+        SELECT f.id, f.accepted_at, ${FRIEND_USER_COLUMNS}
+        FROM friendships f
+        JOIN users u ON u.id = CASE WHEN f.requester_id = $1 THEN f.addressee_id ELSE f.requester_id END
+        LEFT JOIN characters c ON c.id = u.currentCharacter
+        WHERE f.status = 'accepted' AND (f.requester_id = $1 OR f.addressee_id = $1)
+        ORDER BY f.accepted_at DESC, f.id DESC
+    `, [userId]);
+    return result.rows.map(row => ({ ...formatFriendUser(row), since: row.accepted_at.toISOString() }));
+}
+
+// { incoming, outgoing } pending requests, newest first
+async function listFriendRequests(client, userId) {
+    const result = await client.query(`
+        SELECT f.id, f.requester_id, f.created_at, ${FRIEND_USER_COLUMNS}
+        FROM friendships f
+        JOIN users u ON u.id = CASE WHEN f.requester_id = $1 THEN f.addressee_id ELSE f.requester_id END
+        LEFT JOIN characters c ON c.id = u.currentCharacter
+        WHERE f.status = 'pending' AND (f.requester_id = $1 OR f.addressee_id = $1)
+        ORDER BY f.created_at DESC, f.id DESC
+    `, [userId]);
+
+    const requests = { incoming: [], outgoing: [] };
+    for (const row of result.rows) {
+        const direction = String(row.requester_id) === String(userId) ? 'outgoing' : 'incoming';
+        requests[direction].push({ id: row.id, user: formatFriendUser(row), sentAt: row.created_at.toISOString() });
+    }
+    return requests;
+}
+
+// Returns the new pending request
+async function createFriendRequest(client, userId, targetUserId) {
+    const result = await client.query(`
+        INSERT INTO friendships (requester_id, addressee_id)
+        VALUES ($1, $2)
+        RETURNING *
+    `, [userId, targetUserId]);
+    return result.rows[0];
+}
+
+// Accept a pending request addressed to userId; returns the row, or null if there is none
+async function acceptFriendRequest(client, requestId, userId) {
+    const result = await client.query(`
+        UPDATE friendships SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND addressee_id = $2 AND status = 'pending'
+        RETURNING *
+    `, [requestId, userId]);
+    return result.rows[0] || null;
+}
+
+// Decline (as the addressee) or cancel (as the requester) a pending request; returns the row, or null
+async function deleteFriendRequest(client, requestId, userId, side) {
+    const column = side === 'requester' ? 'requester_id' : 'addressee_id';
+    const result = await client.query(
+        `DELETE FROM friendships WHERE id = $1 AND ${column} = $2 AND status = 'pending' RETURNING *`,
+        [requestId, userId]
+    );
+    return result.rows[0] || null;
+}
+
+// Removes any friendship or request between the two users; returns the deleted row, or null
+async function removeFriendship(client, userId, otherUserId, { acceptedOnly = false } = {}) {
+    const result = await client.query(`
+        DELETE FROM friendships
+        WHERE ((requester_id = $1 AND addressee_id = $2) OR (requester_id = $2 AND addressee_id = $1))
+          AND (NOT $3 OR status = 'accepted')
+        RETURNING *
+    `, [userId, otherUserId, acceptedOnly]);
+    return result.rows[0] || null;
+}
+
+// Ids among userIds who only accept this kind of contact ('messages' or 'gifts') from
+// friends and are not friends with userId
+async function getFriendsOnlyAmong(client, userId, userIds, setting) {
+    const result = await client.query(`
+        SELECT u.id FROM users u
+        WHERE u.id = ANY($2::integer[]) AND u.${FRIENDS_ONLY_SETTINGS[setting]}
+          AND NOT EXISTS (
+            SELECT 1 FROM friendships f
+            WHERE f.status = 'accepted'
+              AND ((f.requester_id = $1 AND f.addressee_id = u.id) OR (f.requester_id = u.id AND f.addressee_id = $1))
+          )
+    `, [userId, userIds]);
+    return result.rows.map(row => row.id);
+}
+
+// The privacy settings on the users row: friends-only contact and hiding presence
+async function getPrivacySettings(client, userId) {
+    const result = await client.query(
+        'SELECT friends_only_messages, friends_only_gifts, hide_presence FROM users WHERE id = $1',
+        [userId]
+    );
+    const row = result.rows[0] || {};
+    return {
+        friendsOnlyMessages: Boolean(row.friends_only_messages),
+        friendsOnlyGifts: Boolean(row.friends_only_gifts),
+        hidePresence: Boolean(row.hide_presence)
+    };
+}
+
+// settings holds the privacy flags to change, e.g. { friendsOnlyGifts: true }
+async function updatePrivacySettings(client, userId, settings) {
+    await client.query(`
+        UPDATE users SET
+            friends_only_messages = COALESCE($2, friends_only_messages),
+            friends_only_gifts = COALESCE($3, friends_only_gifts),
+            hide_presence = COALESCE($4, hide_presence)
+        WHERE id = $1
+    `, [userId, settings.friendsOnlyMessages ?? null, settings.friendsOnlyGifts ?? null, settings.hidePresence ?? null]);
+    return getPrivacySettings(client, userId);
+}
+
+module.exports = {
+    MAX_FRIENDS,
+    MAX_PENDING_REQUESTS,
+    getFriendship,
+    countFriendships,
+    listFriends,
+    listFriendRequests,
+    createFriendRequest,
+    acceptFriendRequest,
+    deleteFriendRequest,
+    removeFriendship,
+    getFriendsOnlyAmong,
+    getPrivacySettings,
+    updatePrivacySettings
+};
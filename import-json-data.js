@@ -0,0 +1,205 @@
+// SkyParty JSON Data Importer
+// One-shot import of the legacy data/*.json files into PostgreSQL.
+// Run with: node import-json-data.js [dataDir]
+//
+// Legacy users are keyed by UUID; each one is mapped to a serial users.id and
+// the UUID is kept in users.legacy_id so running the importer twice is safe.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { pool, createTables } = require('./db');
+const { migrateLegacyBalances } = require('./ledger');
+
+const DATA_DIR = process.argv[2] ? path.resolve(process.argv[2]) : path.join(__dirname, 'data');
+
+async function readJson(filename, fallback) {
+    try {
+        const data = await fs.readFile(path.join(DATA_DIR, filename), 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Could not read ${filename}: ${error.message}`);
+        }
+        return fallback;
+    }
+}
+
+// Returns a Map of legacy UUID -> users.id for every user that still needs its data imported
+async function importUsers(client, users, summary) {
+    const idMap = new Map();
+
+    for (const user of Object.values(users)) {
+        const alreadyImported = await client.query('SELECT id FROM users WHERE legacy_id = $1', [user.id]);
+        if (alreadyImported.rows.length > 0) {
+            summary.skippedUsers++;
+            continue;
+        }
+
+        const existing = await client.query(
+            'SELECT id, email FROM users WHERE email = $1 OR username = $2',
+            [user.email, user.username]
+        );
+
+        if (existing.rows.some(row => row.email !== user.email)) {
+            console.log(`⚠️ Skipping ${user.email}: username "${user.username}" belongs to another account`);
+            summary.conflicts++;
+            continue;
+        }
+
+        if (existing.rows.length > 0) {
+            // Same email already registered through /api/register: link it instead of duplicating
+            const userId = existing.rows[0].id;
+            await client.query('UPDATE users SET legacy_id = $1 WHERE id = $2', [user.id, userId]);
+            idMap.set(user.id, userId);
+            summary.linkedUsers++;
+            continue;
+        }
+
+        // Users created before passwords were stored get an empty hash and must reset it
+        const result = await client.query(`
+            INSERT INTO users (username, email, password_hash, currentCharacter, created_at, last_login,
+                               activated, activation_code, activated_at, legacy_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING id
+        `, [
+            user.username,
+            user.email,
+            user.passwordHash || '',
+            user.currentCharacter || 'kitty',
+            user.registeredAt || new Date().toISOString(),
+            user.lastLogin || null,
+            Boolean(user.activated),
+            user.activationCode || null,
+            user.activatedAt || null,
+            user.id
+        ]);
+        const userId = result.rows[0].id;
+
+        await client.query(`
+            INSERT INTO user_data (user_id, data_type, data_value)
+            VALUES ($1, 'gameCredits', $2)
+            ON CONFLICT (user_id, data_type) DO NOTHING
+        `, [userId, JSON.stringify(Number(user.gameCredits) || 0)]);
+
+        for (const characterId of user.ownedCharacters || []) {
+            await client.query(`
+                INSERT INTO user_characters (user_id, character_id, acquired_via)
+                SELECT $1, id, 'import' FROM characters WHERE id = $2
+                ON CONFLICT (user_id, character_id) DO NOTHING
+            `, [userId, characterId]);
+        }
+
+        idMap.set(user.id, userId);
+        summary.importedUsers++;
+    }
+
+    return idMap;
+}
+
+async function importInventories(client, idMap, summary) {
+    for (const [legacyId, userId] of idMap) {
+        const inventory = await readJson(`inventory_${legacyId}.json`, []);
+        if (!Array.isArray(inventory)) continue;
+
+        for (const item of inventory) {
+            const { id, type, characterId, name, icon, description, price, acquiredDate, source, quantity, ...metadata } = item;
+            await client.query(`
+                INSERT INTO character_inventory (user_id, character_id, item_name, item_type, icon, description,
+                                                 price, acquired_date, source, quantity, metadata)
+                VALUES ($1, (SELECT id FROM characters WHERE id = $2), $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            `, [
+                userId,
+                characterId || null,
+                name || characterId || 'Unknown item',
+                type || 'character',
+                icon || null,
+                description || null,
+                price || 0,
+                acquiredDate || new Date().toISOString(),
+                source || 'purchase',
+                quantity || 1,
+                JSON.stringify(metadata)
+            ]);
+            summary.inventoryItems++;
+        }
+    }
+}
+
+async function importTransactions(client, idMap, summary) {
+    const transactions = await readJson('transactions.json', {});
+
+    for (const [legacyId, entries] of Object.entries(transactions)) {
+        const userId = idMap.get(legacyId);
+        if (!userId || !Array.isArray(entries)) continue;
+
+        for (const entry of entries) {
+            await client.query(
+                'INSERT INTO transactions (user_id, amount, type, balance, created_at) VALUES ($1, $2, $3, $4, $5)',
+                [userId, entry.amount, entry.type, entry.balance, entry.timestamp || new Date().toISOString()]
+            );
+            summary.transactions++;
+        }
+    }
+}
+
+async function importGameSessions(client, idMap, summary) {
+    const gameSessions = await readJson('game_sessions.json', {});
+
+    for (const [legacyId, sessions] of Object.entries(gameSessions)) {
+        const userId = idMap.get(legacyId);
+        if (!userId || !Array.isArray(sessions)) continue;
+
+        for (const session of sessions) {
+            await client.query(
+                'INSERT INTO game_sessions (user_id, game_type, earned_credits, duration, played_at) VALUES ($1, $2, $3, $4, $5)',
+                [userId, session.gameType, session.earnedCredits || 0, session.duration || null, session.playedAt || new Date().toISOString()]
+            );
+            summary.gameSessions++;
+        }
+    }
+}
+
+async function runImport() {
+    console.log(`📁 Importing JSON data from ${DATA_DIR}`);
+    await createTables();
+
+    const users = await readJson('users.json', {});
+    const summary = {
+        importedUsers: 0,
+        linkedUsers: 0,
+        skippedUsers: 0,
+        conflicts: 0,
+        inventoryItems: 0,
+        transactions: 0,
+        gameSessions: 0
+    };
+
+    const client = await pool.connect();
+    try {
+        try {
+            await client.query('BEGIN');
+            const idMap = await importUsers(client, users, summary);
+            await importInventories(client, idMap, summary);
+            await importTransactions(client, idMap, summary);
+            await importGameSessions(client, idMap, summary);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+
+        // Imported balances land in user_data first and are then opened on the credits ledger
+        summary.ledgerBalances = await migrateLegacyBalances(client);
+    } finally {
+        client.release();
+    }
+
+    console.log('✅ Import complete:', summary);
+}
+
+runImport()
+    .catch(error => {
+        console.error('❌ Import failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,144 @@
+// SkyParty Credits Ledger
+// Double-entry ledger for Game Credits. Every movement of credits is one
+// ledger_transactions row with a reason and reference id, plus two
+// ledger_entries rows that sum to zero: one leaving an account, one entering
+// another. A user's balance is the sum of the entries on their account.
+
+const STARTING_CREDITS = 150;
+
+// System accounts are the counterparties for credits entering or leaving players
+const SYSTEM_ACCOUNTS = {
+    REWARDS: 'system:rewards',   // starting balances and game earnings
+    SALES: 'system:sales',       // credit packages bought by players
+    STORE: 'system:store',       // characters and items bought with credits
+    ESCROW: 'system:escrow',     // credits held by gifts until claimed or rejected
+    OPENING: 'system:opening'    // balances carried over from before the ledger
+};
+
+const LEDGER_REASONS = ['starting_balance', 'opening_balance', 'earn', 'purchase', 'spend', 'gift', 'refund'];
+
+// A party is either a users.id or one of SYSTEM_ACCOUNTS
+function isUserAccount(party) {
+    return typeof party !== 'string' || !party.startsWith('system:');
+}
+
+function accountName(party) {
+    return isUserAccount(party) ? `user:${party}` : party;
+}
+
+async function getBalance(client, userId) {
+    const result = await client.query(
+        'SELECT COALESCE(SUM(amount), 0) AS balance FROM ledger_entries WHERE user_id = $1',
+        [userId]
+    );
+    return parseInt(result.rows[0].balance);
+}
+
+// Move credits between two accounts. Must run inside a transaction. Returns
+// the ledger transaction id, or null when a user account cannot cover it.
+async function transferCredits(client, { from, to, amount, reason, referenceId = null }) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+        throw new Error(`Invalid ledger amount: ${amount}`);
+    }
+    if (!LEDGER_REASONS.includes(reason)) {
+        throw new Error(`Unknown ledger reason: ${reason}`);
+    }
+
+    // Lock user rows in id order so concurrent transfers cannot deadlock or overdraw
+    const userIds = [from, to].filter(isUserAccount).map(Number).sort((a, b) => a - b);
+    if (userIds.length > 0) {
+        await client.query('SELECT id FROM users WHERE id = ANY($1) ORDER BY id FOR UPDATE', [userIds]);
+    }
+
+    if (isUserAccount(from) && await getBalance(client, from) < amount) {
+        return null;
+    }
+
+    const transaction = await client.query(
+        'INSERT INTO ledger_transactions (reason, reference_id) VALUES ($1, $2) RETURNING id',
+        [reason, referenceId === null ? null : String(referenceId)]
+    );
+    const transactionId = transaction.rows[0].id;
+
+    await client.query(`
+        INSERT INTO ledger_entries (transaction_id, account, user_id, amount)
+        VALUES ($1, $2, $3, $4), ($1, $5, $6, $7)
+    `, [
+        transactionId,
+        accountName(from), isUserAccount(from) ? from : null, -amount,
+        accountName(to), isUserAccount(to) ? to : null, amount
+    ]);
+
+    return transactionId;
+}
+
+// A legacy user_data.gameCredits value as a whole number of credits; null when
+// it is not a number. Users without a stored value get the starting balance.
+function parseLegacyBalance(value) {
+    if (value === null || value === undefined) return STARTING_CREDITS;
+    if (typeof value === 'number' || (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value))) {
+        const balance = Math.round(Number(value));
+        return Number.isFinite(balance) ? balance : null;
+    }
+    return null;
+}
+
+// Carry balances stored in user_data.gameCredits (or the starting balance) into
+// the ledger for users whose ledger account has not been opened yet. Opening sets
+// users.ledger_opened_at even when there is nothing to carry over, so a user who
+// had spent down to 0 is not given the starting balance again on the next start.
+// Users who already have entries (from before ledger_opened_at existed) are only
+// marked. A value that is not a number is left in place and reported.
+async function migrateLegacyBalances(client) {
+    const result = await client.query(`
+        SELECT u.id, d.data_value AS legacy_balance,
+               EXISTS (SELECT 1 FROM ledger_entries e WHERE e.user_id = u.id) AS has_entries
+        FROM users u
+        LEFT JOIN user_data d ON d.user_id = u.id AND d.data_type = 'gameCredits'
+        WHERE u.ledger_opened_at IS NULL
+    `);
+
+    let opened = 0;
+    for (const row of result.rows) {
+        const balance = row.has_entries ? 0 : parseLegacyBalance(row.legacy_balance);
+        if (balance === null) {
+            console.warn(`⚠️ Skipping ledger opening for user ${row.id}: gameCredits is not a number (${JSON.stringify(row.legacy_balance)})`);
+            continue;
+        }
+
+        await client.query('BEGIN');
+        try {
+            if (balance > 0) {
+                await transferCredits(client, {
+                    from: SYSTEM_ACCOUNTS.OPENING,
+                    to: row.id,
+                    amount: balance,
+                    reason: 'opening_balance'
+                });
+            }
+            await client.query(
+                "DELETE FROM user_data WHERE user_id = $1 AND data_type = 'gameCredits'",
+                [row.id]
+            );
+            await client.query(
+                'UPDATE users SET ledger_opened_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [row.id]
+            );
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+        opened++;
+    }
+
+    return opened;
+}
+
+module.exports = {
+    STARTING_CREDITS,
+    SYSTEM_ACCOUNTS,
+    getBalance,
+    transferCredits,
+    migrateLegacyBalances
+};
@@ -0,0 +1,108 @@
+// SkyParty License Keys
+// Keys look like XXXX-XXXX-XXXX-XXXX: 14 random characters followed by a
+// 2-character checksum, so typos are rejected before touching the database.
+// Only a SHA-256 hash of each key is stored. A key has a license type, a
+// number of seats (accounts that may redeem it) and an optional expiry.
+
+const crypto = require('crypto');
+
+// No 0/O or 1/I so keys can be read back over the phone
+const KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const KEY_BODY_LENGTH = 14;
+
+const LICENSE_TYPES = {
+    full: 'Full License (All Features)',
+    founder: 'Founder License (All Features)',
+    beta: 'Beta License (All Features)'
+};
+
+function checksumFor(body) {
+    const digest = crypto.createHash('sha256').update(body).digest();
+    return KEY_ALPHABET[digest[0] % 32] + KEY_ALPHABET[digest[1] % 32];
+}
+
+function formatKey(chars) {
+    return chars.match(/.{4}/g).join('-');
+}
+
+function generateLicenseKey() {
+    let body = '';
+    for (let i = 0; i < KEY_BODY_LENGTH; i++) {
+        body += KEY_ALPHABET[crypto.randomInt(KEY_ALPHABET.length)];
+    }
+    return formatKey(body + checksumFor(body));
+}
+
+// Uppercases and strips separators; returns null unless the checksum matches
+function normalizeLicenseKey(key) {
+    const chars = String(key || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (chars.length !== KEY_BODY_LENGTH + 2) return null;
+    if ([...chars].some(c => !KEY_ALPHABET.includes(c))) return null;
+
+    const body = chars.slice(0, KEY_BODY_LENGTH);
+    if (checksumFor(body) !== chars.slice(KEY_BODY_LENGTH)) return null;
+
+    return formatKey(chars);
+}
+
+function hashLicenseKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function describeLicense(licenseType, expiresAt) {
+    return {
+        type: licenseType,
+        label: LICENSE_TYPES[licenseType] || licenseType,
+        expiresAt,
+        daysRemaining: expiresAt ? Math.max(0, Math.ceil((new Date(expiresAt) - Date.now()) / 86400000)) : null
+    };
+}
+
+// The best license a user currently holds: unrevoked, unexpired, longest-lived first.
+// Accounts activated with the old hardcoded codes have no redemptions and keep a full license.
+async function getLicenseStatus(client, userId) {
+    const result = await client.query(`
+        SELECT k.license_type, k.expires_at
+        FROM license_redemptions r
+        JOIN license_keys k ON k.id = r.license_id
+        WHERE r.user_id = $1 AND k.revoked_at IS NULL
+          AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)
+        ORDER BY k.expires_at DESC NULLS FIRST
+        LIMIT 1
+    `, [userId]);
+
+    if (result.rows.length > 0) {
+        const row = result.rows[0];
+        return { activated: true, license: describeLicense(row.license_type, row.expires_at) };
+    }
+
+    const legacy = await client.query(`
+        SELECT activated FROM users u
+        WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM license_redemptions r WHERE r.user_id = u.id)
+    `, [userId]);
+
+    if (legacy.rows.length > 0 && legacy.rows[0].activated) {
+        return { activated: true, license: describeLicense('full', null) };
+    }
+
+    return { activated: false, license: null };
+}
+
+// Keep users.activated in step with the user's redemptions after a change
+async function refreshActivationFlag(client, userId) {
+    const status = await getLicenseStatus(client, userId);
+    await client.query(
+        `UPDATE users SET activated = $1, activated_at = CASE WHEN $1 THEN activated_at END WHERE id = $2`,
+        [status.activated, userId]
+    );
+    return status;
+}
+
+module.exports = {
+    LICENSE_TYPES,
+    generateLicenseKey,
+    normalizeLicenseKey,
+    hashLicenseKey,
+    getLicenseStatus,
+    refreshActivationFlag
+};
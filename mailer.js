@@ -0,0 +1,86 @@
+// SkyParty Mail Transport
+// Every transport exposes send({ to, subject, text }). Pick one with MAIL_TRANSPORT:
+//   smtp    - real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - writes each message as JSON into MAIL_DIR (default ./mail-outbox)
+//   console - prints each message to the server log (default)
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'SkyParty <no-reply@skyparty.local>';
+
+function createSmtpTransport() {
+    // Only required when SMTP is actually used
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send({ to, subject, text }) {
+            await transporter.sendMail({ from: MAIL_FROM, to, subject, text });
+        }
+    };
+}
+
+function createFileTransport(dir) {
+    return {
+        name: 'file',
+        async send({ to, subject, text }) {
+            await fs.mkdir(dir, { recursive: true });
+            const sentAt = new Date().toISOString();
+            const filename = `${sentAt.replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
+            await fs.writeFile(
+                path.join(dir, filename),
+                JSON.stringify({ from: MAIL_FROM, to, subject, text, sentAt }, null, 2)
+            );
+        }
+    };
+}
+
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send({ to, subject, text }) {
+            console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+        }
+    };
+}
+
+function createMailTransport(type = process.env.MAIL_TRANSPORT || 'console') {
+    switch (type) {
+        case 'smtp':
+            return createSmtpTransport();
+        case 'file':
+            return createFileTransport(process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox'));
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+    }
+}
+
+let transport = null;
+
+async function sendMail(message) {
+    if (!transport) {
+        transport = createMailTransport();
+        console.log(`📧 Using ${transport.name} mail transport`);
+    }
+    await transport.send(message);
+}
+
+// Swap the transport at runtime, e.g. to capture mail in a script
+function setMailTransport(customTransport) {
+    transport = customTransport;
+}
+
+module.exports = {
+    createMailTransport,
+    sendMail,
+    setMailTransport
+};
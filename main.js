@@ -311,7 +311,7 @@ ipcMain.handle('app:show-file-dialog', async () => {
         properties: ['openFile'],
         filters: [
             { name: 'All Files', extensions: ['*'] },
-            { name: 'Images', extensions: ['jpg', 'png', 'gif'] },
+            { name: 'Images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp'] },
             { name: 'Text Files', extensions: ['txt'] }
         ]
     });
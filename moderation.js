@@ -0,0 +1,132 @@
+// SkyParty Moderation
+// Players report other players under a reason category, optionally quoting
+// messages the target sent them as evidence. Moderators work through the open
+// reports and either dismiss one or sanction the target:
+//   warn     a notice the player sees at next sign-in; nothing is restricted
+//   mute     no sending messages or gifts until it expires
+//   suspend  no signing in until it expires
+//   ban      no signing in, permanently
+// A sanction is active until it expires or a moderator lifts it. Reports without
+// a reporter were filed automatically, e.g. by the content filter.
+
+const REPORT_REASONS = {
+    harassment: 'Harassment or bullying',
+    spam: 'Spam',
+    scam: 'Scam or fraud',
+    cheating: 'Cheating',
+    inappropriate_name: 'Inappropriate name',
+    inappropriate_content: 'Inappropriate content',
+    other: 'Other'
+};
+
+const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+const REPORT_DETAILS_MAX_LENGTH = 1000;
+const MAX_REPORT_MESSAGES = 10;
+
+const SANCTION_TYPES = ['warn', 'mute', 'suspend', 'ban'];
+// Mutes and suspensions need a duration; bans are permanent and warnings never restrict
+const TIMED_SANCTIONS = ['mute', 'suspend'];
+const MAX_SANCTION_HOURS = 24 * 365;
+
+// Which sanctions stop what
+const LOGIN_SANCTIONS = ['suspend', 'ban'];
+const MESSAGING_SANCTIONS = ['mute', 'suspend', 'ban'];
+
+const SANCTION_MESSAGES = {
+    warn: 'You have received a warning from the moderators',
+    mute: 'You are muted and cannot send messages or gifts',
+    suspend: 'Your account is suspended',
+    ban: 'Your account has been banned'
+};
+
+// evidence holds message rows (id, conversation_id, content, created_at). Must run inside a transaction.
+async function createReport(client, { reporterId = null, targetId, reason, details = null, evidence = [] }) {
+    const report = await client.query(`
+        INSERT INTO reports (reporter_id, target_id, reason, details)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+    `, [reporterId, targetId, reason, details]);
+    const reportId = report.rows[0].id;
+
+    for (const message of evidence) {
+        await client.query(`
+            INSERT INTO report_messages (report_id, message_id, conversation_id, content, sent_at)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [reportId, message.id, message.conversation_id, message.content, message.created_at]);
+    }
+    return reportId;
+}
+
+// The user's active sanction of one of these types that lasts longest, or null
+async function getActiveSanction(client, userId, types) {
+    const result = await client.query(`
+        SELECT * FROM user_sanctions
+        WHERE user_id = $1 AND type = ANY($2::varchar[])
+          AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+        ORDER BY expires_at DESC NULLS FIRST
+        LIMIT 1
+    `, [userId, types]);
+    return result.rows[0] || null;
+}
+
+// Active restrictions plus warnings the player has not acknowledged yet, newest first
+async function getSanctionNotices(client, userId) {
+    const result = await client.query(`
+        SELECT * FROM user_sanctions
+        WHERE user_id = $1 AND revoked_at IS NULL
+          AND (
+            (type = 'warn' AND acknowledged_at IS NULL)
+            OR (type <> 'warn' AND (expires_at IS NULL OR expires_at > NOW()))
+          )
+        ORDER BY created_at DESC, id DESC
+    `, [userId]);
+    return result.rows.map(formatSanction);
+}
+
+// Must run inside a transaction. Suspensions and bans also sign the player out everywhere.
+async function issueSanction(client, { userId, type, reason, durationHours = null, reportId = null, issuedBy }) {
+    const expiresAt = durationHours ? new Date(Date.now() + durationHours * 3600000) : null;
+    const result = await client.query(`
+        INSERT INTO user_sanctions (user_id, type, reason, report_id, issued_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+    `, [userId, type, reason, reportId, issuedBy, expiresAt]);
+
+    if (LOGIN_SANCTIONS.includes(type)) {
+        await client.query(
+            'UPDATE users SET token_version = COALESCE(token_version, 0) + 1 WHERE id = $1',
+            [userId]
+        );
+    }
+    return result.rows[0];
+}
+
+function formatSanction(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        reason: row.reason,
+        message: SANCTION_MESSAGES[row.type],
+        expiresAt: row.expires_at,
+        createdAt: row.created_at,
+        acknowledged: Boolean(row.acknowledged_at)
+    };
+}
+
+module.exports = {
+    REPORT_REASONS,
+    REPORT_STATUSES,
+    REPORT_DETAILS_MAX_LENGTH,
+    MAX_REPORT_MESSAGES,
+    SANCTION_TYPES,
+    TIMED_SANCTIONS,
+    MAX_SANCTION_HOURS,
+    LOGIN_SANCTIONS,
+    MESSAGING_SANCTIONS,
+    SANCTION_MESSAGES,
+    createReport,
+    getActiveSanction,
+    getSanctionNotices,
+    issueSanction,
+    formatSanction
+};
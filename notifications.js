@@ -0,0 +1,189 @@
+// SkyParty Notifications
+// One feed per player covering:
+//   message          new messages in a conversation; one unread entry per conversation, counting them
+//   gift_received    a gift arrived in the mailbox
+//   gift_claimed     a gift the player sent was claimed
+//   friend_request   someone asked to be friends
+//   friend_accepted  someone accepted the player's friend request
+//   announcement     a message from the SkyParty team to every player
+// data holds what the entry links to (conversationId, giftId, requestId) and the
+// text it shows. Entries are read one at a time, by type, or all at once; entries
+// from players the reader has blocked or muted are left out of the feed and the
+// counts. Read entries are deleted after NOTIFICATION_RETENTION_DAYS.
+
+const NOTIFICATION_TYPES = ['message', 'gift_received', 'gift_claimed', 'friend_request', 'friend_accepted', 'announcement'];
+const NOTIFICATIONS_PAGE_SIZE = 30;
+const NOTIFICATION_RETENTION_DAYS = 30;
+const ANNOUNCEMENT_TITLE_MAX_LENGTH = 100;
+const ANNOUNCEMENT_BODY_MAX_LENGTH = 1000;
+
+// Entries the reader has not silenced by blocking or muting the actor
+const VISIBLE_TO_READER = `
+    NOT EXISTS (SELECT 1 FROM user_blocks b WHERE b.user_id = n.user_id AND b.blocked_user_id = n.actor_id)
+    AND NOT EXISTS (SELECT 1 FROM user_mutes m WHERE m.user_id = n.user_id AND m.muted_user_id = n.actor_id)
+`;
+
+// Whether userId has blocked or muted actorId, hiding their notifications
+async function isActorSilenced(client, userId, actorId) {
+    const result = await client.query(`
+        SELECT EXISTS (SELECT 1 FROM user_blocks WHERE user_id = $1 AND blocked_user_id = $2)
+            OR EXISTS (SELECT 1 FROM user_mutes WHERE user_id = $1 AND muted_user_id = $2) AS silenced
+    `, [userId, actorId]);
+    return result.rows[0].silenced;
+}
+
+function formatNotification(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        actor: row.actor_id ? { id: row.actor_id, username: row.actor_username } : null,
+        data: row.data,
+        read: Boolean(row.read_at),
+        createdAt: row.created_at.toISOString()
+    };
+}
+
+async function getNotification(client, notificationId) {
+    const result = await client.query(`
+        SELECT n.*, a.username AS actor_username
+        FROM notifications n
+        LEFT JOIN users a ON a.id = n.actor_id
+        WHERE n.id = $1
+    `, [notificationId]);
+    return result.rows[0] ? formatNotification(result.rows[0]) : null;
+}
+
+// Returns the new entry
+async function createNotification(client, userId, type, actorId, data) {
+    const result = await client.query(`
+        INSERT INTO notifications (user_id, type, actor_id, data)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+    `, [userId, type, actorId, JSON.stringify(data)]);
+    return getNotification(client, result.rows[0].id);
+}
+
+// Adds a message to each recipient's unread entry for the conversation, or starts one;
+// returns { userId, notification } for each recipient
+async function notifyMessage(client, recipientIds, senderId, conversationId, groupName) {
+    const notified = [];
+    for (const userId of recipientIds) {
+        const result = await client.query(`
+            INSERT INTO notifications (user_id, type, actor_id, data)
+            VALUES ($1, 'message', $2, $3)
+            ON CONFLICT (user_id, (data->>'conversationId')) WHERE type = 'message' AND read_at IS NULL
+            DO UPDATE SET
+                actor_id = EXCLUDED.actor_id,
+                data = jsonb_set(notifications.data, '{count}', to_jsonb((notifications.data->>'count')::integer + 1)),
+                created_at = CURRENT_TIMESTAMP
+            RETURNING id
+        `, [userId, senderId, JSON.stringify({ conversationId, groupName, count: 1 })]);
+        notified.push({ userId, notification: await getNotification(client, result.rows[0].id) });
+    }
+    return notified;
+}
+
+// Sends an announcement to every player; returns the entries' user ids
+async function createAnnouncement(client, title, body) {
+    const result = await client.query(`
+        INSERT INTO notifications (user_id, type, data)
+        SELECT id, 'announcement', $1 FROM users
+        RETURNING user_id
+    `, [JSON.stringify({ title, body })]);
+    return result.rows.map(row => row.user_id);
+}
+
+// Newest first; before is the id of the last entry on the previous page
+async function listNotifications(client, userId, { type = null, before = null, limit = NOTIFICATIONS_PAGE_SIZE } = {}) {
+    const result = await client.query(`
+        SELECT n.*, a.username AS actor_username
+        FROM notifications n
+        LEFT JOIN users a ON a.id = n.actor_id
+        WHERE n.user_id = $1 AND ${VISIBLE_TO_READER}
+          AND ($2::varchar IS NULL OR n.type = $2)
+          AND ($3::integer IS NULL OR (n.created_at, n.id) < (SELECT created_at, id FROM notifications WHERE id = $3))
+        ORDER BY n.created_at DESC, n.id DESC
+        LIMIT $4
+    `, [userId, type, before, limit]);
+    return result.rows.map(formatNotification);
+}
+
+// { total, byType: { message: 2, ... } }; every type is present
+async function getUnreadNotificationCounts(client, userId) {
+    const result = await client.query(`
+        SELECT n.type, COUNT(*) AS count
+        FROM notifications n
+        WHERE n.user_id = $1 AND n.read_at IS NULL AND ${VISIBLE_TO_READER}
+        GROUP BY n.type
+    `, [userId]);
+
+    const byType = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, 0]));
+    for (const row of result.rows) {
+        byType[row.type] = parseInt(row.count);
+    }
+    return { total: Object.values(byType).reduce((total, count) => total + count, 0), byType };
+}
+
+// Marks one entry read; returns false if the player has no such entry
+async function markNotificationRead(client, userId, notificationId) {
+    const result = await client.query(`
+        UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+        WHERE id = $1 AND user_id = $2
+        RETURNING id
+    `, [notificationId, userId]);
+    return result.rows.length > 0;
+}
+
+// Marks every unread entry, or every unread entry of one type, read; returns how many changed
+async function markAllNotificationsRead(client, userId, type = null) {
+    const result = await client.query(`
+        UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND read_at IS NULL AND ($2::varchar IS NULL OR type = $2)
+    `, [userId, type]);
+    return result.rowCount;
+}
+
+// Marks the unread entries of a type pointing at one thing, e.g. ('message', 'conversationId', id),
+// read; returns how many changed
+async function markNotificationsReadFor(client, userId, type, key, value) {
+    const result = await client.query(`
+        UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND type = $2 AND data->>$3 = $4 AND read_at IS NULL
+    `, [userId, type, key, String(value)]);
+    return result.rowCount;
+}
+
+// Removes entries pointing at something that no longer exists; returns the affected user ids
+async function deleteNotificationsFor(client, type, key, value) {
+    const result = await client.query(
+        'DELETE FROM notifications WHERE type = $1 AND data->>$2 = $3 RETURNING user_id',
+        [type, key, String(value)]
+    );
+    return [...new Set(result.rows.map(row => row.user_id))];
+}
+
+async function pruneReadNotifications(client) {
+    const result = await client.query(
+        'DELETE FROM notifications WHERE read_at <= NOW() - make_interval(days => $1)',
+        [NOTIFICATION_RETENTION_DAYS]
+    );
+    return result.rowCount;
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    NOTIFICATIONS_PAGE_SIZE,
+    ANNOUNCEMENT_TITLE_MAX_LENGTH,
+    ANNOUNCEMENT_BODY_MAX_LENGTH,
+    createNotification,
+    notifyMessage,
+    createAnnouncement,
+    listNotifications,
+    getUnreadNotificationCounts,
+    markNotificationRead,
+    markAllNotificationsRead,
+    markNotificationsReadFor,
+    deleteNotificationsFor,
+    isActorSilenced,
+    pruneReadNotifications
+};
@@ -0,0 +1,96 @@
+// SkyParty Presence
+// Open clients send a heartbeat every minute saying how long the player has
+// been idle. From that the server derives their status:
+//   online   heartbeat within HEARTBEAT_TIMEOUT_SECONDS and active within AWAY_AFTER_SECONDS
+//   away     heartbeat within HEARTBEAT_TIMEOUT_SECONDS but idle for longer
+//   offline  no recent heartbeat, or signed out
+// users.last_seen holds the time of the last heartbeat and presence_status the
+// status it produced, so changes can be pushed to the player's friends and
+// conversation partners. Players who hide their status appear offline with no
+// last-seen time, and so do players to anyone they have blocked.
+
+const HEARTBEAT_TIMEOUT_SECONDS = 90;
+const AWAY_AFTER_SECONDS = 5 * 60;
+const MAX_PRESENCE_LOOKUP = 100;
+
+// Returns { previous, status, hidden }; previous is the status other players last saw
+async function recordHeartbeat(client, userId, idleSeconds) {
+    const status = idleSeconds >= AWAY_AFTER_SECONDS ? 'away' : 'online';
+    const result = await client.query(`
+        UPDATE users u SET last_seen = CURRENT_TIMESTAMP, presence_status = $2
+        FROM (SELECT id, presence_status, last_seen FROM users WHERE id = $1 FOR UPDATE) old
+        WHERE u.id = old.id
+        RETURNING CASE WHEN old.last_seen > NOW() - make_interval(secs => $3) THEN old.presence_status ELSE 'offline' END AS previous,
+                  u.hide_presence
+    `, [userId, status, HEARTBEAT_TIMEOUT_SECONDS]);
+    const row = result.rows[0];
+    return { previous: row.previous, status, hidden: Boolean(row.hide_presence) };
+}
+
+// Signing out; returns whether the player was showing as online or away
+async function markOffline(client, userId) {
+    const result = await client.query(`
+        UPDATE users SET presence_status = 'offline'
+        WHERE id = $1 AND presence_status <> 'offline' AND last_seen > NOW() - make_interval(secs => $2)
+        RETURNING id
+    `, [userId, HEARTBEAT_TIMEOUT_SECONDS]);
+    return result.rows.length > 0;
+}
+
+// Mark players whose heartbeats stopped as offline; returns their ids
+async function expireStalePresence(client) {
+    const result = await client.query(`
+        UPDATE users SET presence_status = 'offline'
+        WHERE presence_status <> 'offline' AND (last_seen IS NULL OR last_seen <= NOW() - make_interval(secs => $1))
+        RETURNING id
+    `, [HEARTBEAT_TIMEOUT_SECONDS]);
+    return result.rows.map(row => row.id);
+}
+
+// { [userId]: { status, lastSeen } } as viewerId sees them; viewerId null means any other player
+async function getPresence(client, viewerId, userIds) {
+    const result = await client.query(`
+        SELECT u.id, u.last_seen, u.hide_presence,
+               CASE WHEN u.last_seen > NOW() - make_interval(secs => $3) THEN u.presence_status ELSE 'offline' END AS status,
+               EXISTS (SELECT 1 FROM user_blocks b WHERE b.user_id = u.id AND b.blocked_user_id = $2) AS blocks_viewer
+        FROM users u
+        WHERE u.id = ANY($1::integer[])
+    `, [userIds, viewerId, HEARTBEAT_TIMEOUT_SECONDS]);
+
+    const presence = {};
+    for (const row of result.rows) {
+        const visible = String(row.id) === String(viewerId) || (!row.hide_presence && !row.blocks_viewer);
+        presence[row.id] = visible
+            ? { status: row.status || 'offline', lastSeen: row.last_seen ? row.last_seen.toISOString() : null }
+            : { status: 'offline', lastSeen: null };
+    }
+    return presence;
+}
+
+// Who is told when userId's status changes: friends and conversation partners they have not blocked
+async function getPresenceAudience(client, userId) {
+    const result = await client.query(`
+        SELECT CASE WHEN requester_id = $1 THEN addressee_id ELSE requester_id END AS id
+        FROM friendships
+        WHERE status = 'accepted' AND (requester_id = $1 OR addressee_id = $1)
+        UNION
+        SELECT other.user_id
+        FROM conversation_members me
+        JOIN conversation_members other ON other.conversation_id = me.conversation_id AND other.user_id <> $1
+        WHERE me.user_id = $1
+        EXCEPT
+        SELECT blocked_user_id FROM user_blocks WHERE user_id = $1
+    `, [userId]);
+    return result.rows.map(row => row.id);
+}
+
+module.exports = {
+    HEARTBEAT_TIMEOUT_SECONDS,
+    AWAY_AFTER_SECONDS,
+    MAX_PRESENCE_LOOKUP,
+    recordHeartbeat,
+    markOffline,
+    expireStalePresence,
+    getPresence,
+    getPresenceAudience
+};
@@ -0,0 +1,79 @@
+// SkyParty Public Profiles
+// A profile shows when the player joined, their current character, how many
+// characters they own, games played and level, plus a short bio and a showcase
+// of up to MAX_SHOWCASE_CHARACTERS owned characters. Each field has its own
+// visibility:
+//   everyone  anyone, including signed-out visitors
+//   friends   the player's friends
+//   nobody    only the player themselves
+// Hidden fields come back as null and are listed in `hidden`. The level comes
+// from experience, the credits earned playing games, so it never goes down.
+
+const PROFILE_FIELDS = ['joinDate', 'currentCharacter', 'charactersOwned', 'gamesPlayed', 'level', 'bio', 'showcase'];
+const VISIBILITY_LEVELS = ['everyone', 'friends', 'nobody'];
+const BIO_MAX_LENGTH = 200;
+const MAX_SHOWCASE_CHARACTERS = 3;
+// Reaching level n takes EXPERIENCE_STEP * (1 + 2 + ... + n-1) experience
+const EXPERIENCE_STEP = 100;
+
+function levelForExperience(experience) {
+    return Math.floor((1 + Math.sqrt(1 + 8 * Math.max(0, experience) / EXPERIENCE_STEP)) / 2);
+}
+
+// The stored settings with every field filled in
+function normalizeVisibility(stored) {
+    const visibility = {};
+    for (const field of PROFILE_FIELDS) {
+        visibility[field] = stored && VISIBILITY_LEVELS.includes(stored[field]) ? stored[field] : 'everyone';
+    }
+    return visibility;
+}
+
+// Error message for an invalid visibility update, or null
+function validateVisibility(update) {
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+        return 'Visibility must map profile fields to a level';
+    }
+    for (const [field, level] of Object.entries(update)) {
+        if (!PROFILE_FIELDS.includes(field)) {
+            return `Unknown profile field: ${field}`;
+        }
+        if (!VISIBILITY_LEVELS.includes(level)) {
+            return `Visibility must be one of: ${VISIBILITY_LEVELS.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+// relation is 'self', 'friend' or 'other'
+function canSee(level, relation) {
+    if (relation === 'self') return true;
+    if (level === 'friends') return relation === 'friend';
+    return level === 'everyone';
+}
+
+// Null out the fields the viewer may not see
+function applyVisibility(fields, visibility, relation) {
+    const visible = {};
+    const hidden = [];
+    for (const field of PROFILE_FIELDS) {
+        if (canSee(visibility[field], relation)) {
+            visible[field] = fields[field];
+        } else {
+            visible[field] = null;
+            hidden.push(field);
+        }
+    }
+    return { ...visible, hidden };
+}
+
+module.exports = {
+    PROFILE_FIELDS,
+    VISIBILITY_LEVELS,
+    BIO_MAX_LENGTH,
+    MAX_SHOWCASE_CHARACTERS,
+    levelForExperience,
+    normalizeVisibility,
+    validateVisibility,
+    applyVisibility
+};
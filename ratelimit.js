@@ -0,0 +1,127 @@
+// SkyParty Rate Limiting
+// Fixed-window request limits and progressive lockout after repeated failures.
+// State lives in a pluggable store with this async interface:
+//   increment(key, windowMs) -> { count, resetAt }  start or bump a counter
+//   get(key)                 -> value or null        read a value set with set()
+//   set(key, value, ttlMs)                           store a value that expires
+//   delete(key)                                      forget a counter or value
+// The in-memory store is the default; a shared store (e.g. Redis) is needed
+// once the server runs as more than one process.
+
+function createMemoryStore({ cleanupIntervalMs = 60000 } = {}) {
+    const entries = new Map();
+
+    const live = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    // Drop expired entries so idle keys do not accumulate
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, cleanupIntervalMs);
+    timer.unref();
+
+    return {
+        async increment(key, windowMs) {
+            const entry = live(key) || { value: 0, expiresAt: Date.now() + windowMs };
+            entry.value++;
+            entries.set(key, entry);
+            return { count: entry.value, resetAt: entry.expiresAt };
+        },
+        async get(key) {
+            const entry = live(key);
+            return entry ? entry.value : null;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+let defaultStore = null;
+
+function getDefaultStore() {
+    if (!defaultStore) defaultStore = createMemoryStore();
+    return defaultStore;
+}
+
+// Replace the store used by limiters created without an explicit one
+function setDefaultStore(store) {
+    defaultStore = store;
+}
+
+function sendTooManyRequests(res, retryAfterMs, message, errorKey = 'error') {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ success: false, [errorKey]: message, retryAfter });
+}
+
+// Express middleware allowing `max` requests per window for every key returned by keys(req).
+// Keys are namespaced by `name`, so a per-IP and a per-account key can share one limiter.
+function rateLimit({ name, windowMs, max, keys, message = 'Too many requests, please try again later', errorKey, store }) {
+    return async (req, res, next) => {
+        try {
+            const limiterStore = store || getDefaultStore();
+            for (const key of keys(req).filter(Boolean)) {
+                const { count, resetAt } = await limiterStore.increment(`rate:${name}:${key}`, windowMs);
+                if (count > max) {
+                    return sendTooManyRequests(res, resetAt - Date.now(), message, errorKey);
+                }
+            }
+            next();
+        } catch (error) {
+            // A broken store should not take the endpoint down with it
+            console.error('❌ Rate limit store error:', error);
+            next();
+        }
+    };
+}
+
+// Progressive lockout: after `threshold` failures within `windowMs`, each further
+// failure locks the key for baseLockMs, doubling every time up to maxLockMs.
+function createLockout({ name, threshold, windowMs, baseLockMs, maxLockMs, store }) {
+    const resolveStore = () => store || getDefaultStore();
+    const lockKey = key => `lock:${name}:${key}`;
+    const failureKey = key => `fail:${name}:${key}`;
+
+    return {
+        // Milliseconds until the key may try again, 0 when it is not locked
+        async retryAfter(key) {
+            const lockedUntil = await resolveStore().get(lockKey(key));
+            return lockedUntil ? Math.max(0, lockedUntil - Date.now()) : 0;
+        },
+        async recordFailure(key) {
+            const lockoutStore = resolveStore();
+            const { count } = await lockoutStore.increment(failureKey(key), windowMs);
+            if (count < threshold) return 0;
+
+            const lockMs = Math.min(baseLockMs * 2 ** (count - threshold), maxLockMs);
+            await lockoutStore.set(lockKey(key), Date.now() + lockMs, lockMs);
+            return lockMs;
+        },
+        async reset(key) {
+            const lockoutStore = resolveStore();
+            await lockoutStore.delete(failureKey(key));
+            await lockoutStore.delete(lockKey(key));
+        }
+    };
+}
+
+module.exports = {
+    createMemoryStore,
+    setDefaultStore,
+    rateLimit,
+    createLockout,
+    sendTooManyRequests
+};
@@ -0,0 +1,61 @@
+// SkyParty Real-time Events
+// Server-Sent Events channel pushing messaging events to connected users.
+// Each user may hold several streams (one per open window); publish() fans an
+// event out to all of them. Events are only delivered to streams connected to
+// this process, so clients keep polling as a fallback while disconnected.
+
+const HEARTBEAT_INTERVAL_MS = (parseInt(process.env.EVENT_HEARTBEAT_SECONDS) || 25) * 1000;
+const RECONNECT_DELAY_MS = 2000;
+
+const streams = new Map(); // userId -> Set of responses
+
+// Comment lines keep proxies from closing idle connections
+const heartbeat = setInterval(() => {
+    for (const userStreams of streams.values()) {
+        for (const res of userStreams) res.write(': heartbeat\n\n');
+    }
+}, HEARTBEAT_INTERVAL_MS);
+heartbeat.unref();
+
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Turn the response into an event stream for userId until the client disconnects
+function openEventStream(req, res, userId) {
+    const key = String(userId);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    if (!streams.has(key)) streams.set(key, new Set());
+    streams.get(key).add(res);
+    writeEvent(res, 'ready', { userId: key });
+
+    req.on('close', () => {
+        const userStreams = streams.get(key);
+        if (!userStreams) return;
+        userStreams.delete(res);
+        if (userStreams.size === 0) streams.delete(key);
+    });
+}
+
+function publish(userIds, event, data) {
+    for (const userId of new Set(userIds.filter(Boolean).map(String))) {
+        const userStreams = streams.get(userId);
+        if (!userStreams) continue;
+        for (const res of userStreams) writeEvent(res, event, data);
+    }
+}
+
+module.exports = {
+    openEventStream,
+    publish
+};
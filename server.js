@@ -3,77 +3,468 @@
 
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs').promises;
-const path = require('path');
 const crypto = require('crypto');
-const { Pool } = require('pg');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const { pool, createTables } = require('./db');
+const { STARTING_CREDITS, SYSTEM_ACCOUNTS, getBalance, transferCredits, migrateLegacyBalances } = require('./ledger');
+const { sendMail } = require('./mailer');
+const { rateLimit, createLockout, sendTooManyRequests } = require('./ratelimit');
+const { openEventStream, publish } = require('./realtime');
+const {
+    MAX_GROUP_MEMBERS, GROUP_NAME_MAX_LENGTH, getMembership, getMemberIds, findOrCreateDirectConversation,
+    createGroupConversation, addMembers, removeMember, getUnreadCounts, REACTION_EMOJIS, getReactionSummaries
+} = require('./conversations');
+const {
+    MAX_ATTACHMENT_BYTES, USER_QUOTA_BYTES, MAX_ATTACHMENTS_PER_MESSAGE, isImage, getAttachmentStorage,
+    storeAttachment, deleteStoredFiles, getMessageAttachments, formatAttachment
+} = require('./attachments');
+const { getBlockStatus, getBlockersAmong, listUsers, addToList, removeFromList } = require('./blocks');
+const {
+    MAX_FRIENDS, MAX_PENDING_REQUESTS, getFriendship, countFriendships, listFriends, listFriendRequests, createFriendRequest,
+    acceptFriendRequest, deleteFriendRequest, removeFriendship, getFriendsOnlyAmong, getPrivacySettings, updatePrivacySettings
+} = require('./friends');
+const {
+    MAX_PRESENCE_LOOKUP, recordHeartbeat, markOffline, expireStalePresence, getPresence, getPresenceAudience
+} = require('./presence');
+const {
+    REPORT_REASONS, REPORT_STATUSES, REPORT_DETAILS_MAX_LENGTH, MAX_REPORT_MESSAGES, SANCTION_TYPES, TIMED_SANCTIONS,
+    MAX_SANCTION_HOURS, LOGIN_SANCTIONS, MESSAGING_SANCTIONS, SANCTION_MESSAGES,
+    createReport, getActiveSanction, getSanctionNotices, issueSanction, formatSanction
+} = require('./moderation');
+const {
+    FILTER_FIELDS, validateFilterConfig, loadContentFilter, saveContentFilter, getContentFilterConfig, checkText
+} = require('./contentfilter');
+const {
+    BIO_MAX_LENGTH, MAX_SHOWCASE_CHARACTERS, levelForExperience, normalizeVisibility, validateVisibility, applyVisibility
+} = require('./profiles');
+const {
+    BASE_WIDTH, BASE_HEIGHT, BASE_VISIBILITY_LEVELS, DECORATIONS, listDecorations, addDecoration, getBase, getPlaceableItems,
+    validateLayout, describeLayout, recordVisit, pruneBaseVisits
+} = require('./bases');
+const {
+    SEARCH_PAGE_SIZE, MAX_SEARCH_PAGE_SIZE, SEARCH_QUERY_MAX_LENGTH, searchUsers, listRecentSearches, recordSearch,
+    clearRecentSearches
+} = require('./usersearch');
+const {
+    NOTIFICATION_TYPES, NOTIFICATIONS_PAGE_SIZE, ANNOUNCEMENT_TITLE_MAX_LENGTH, ANNOUNCEMENT_BODY_MAX_LENGTH, createNotification,
+    notifyMessage, createAnnouncement, listNotifications, getUnreadNotificationCounts, markNotificationRead,
+    markAllNotificationsRead, markNotificationsReadFor, deleteNotificationsFor, isActorSilenced, pruneReadNotifications
+} = require('./notifications');
+const { LICENSE_TYPES, generateLicenseKey, normalizeLicenseKey, hashLicenseKey, getLicenseStatus, refreshActivationFlag } = require('./licenses');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
 
-// Database connection
-console.log('🔍 DATABASE_URL:', process.env.DATABASE_URL ? 'Set' : 'Not set');
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL || 'postgresql://localhost:5432/skyparty'
-});
+// Auth configuration
+if (!process.env.JWT_SECRET) {
+    console.log('⚠️ JWT_SECRET not set, using a random secret (sessions will not survive a restart)');
+}
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '30d';
+const BCRYPT_COST = parseInt(process.env.BCRYPT_COST) || 12;
+
+// Email configuration
+const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${PORT}`;
+const EMAIL_VERIFY_TTL_HOURS = parseInt(process.env.EMAIL_VERIFY_TTL_HOURS) || 24;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Access control configuration
+// The account registered with ADMIN_EMAIL becomes admin while no admin exists yet
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || null;
+
+// Rate limit configuration
+// Limits count requests per fixed window; lockouts start after LOCKOUT_THRESHOLD
+// failures and double from LOCKOUT_BASE_MINUTES up to LOCKOUT_MAX_MINUTES.
+const LOGIN_LIMIT_PER_IP = parseInt(process.env.LOGIN_LIMIT_PER_IP) || 30;
+const LOGIN_LIMIT_PER_ACCOUNT = parseInt(process.env.LOGIN_LIMIT_PER_ACCOUNT) || 10;
+const REGISTER_LIMIT_PER_IP = parseInt(process.env.REGISTER_LIMIT_PER_IP) || 10;
+const ACTIVATION_LIMIT_PER_IP = parseInt(process.env.ACTIVATION_LIMIT_PER_IP) || 20;
+const ACTIVATION_LIMIT_PER_ACCOUNT = parseInt(process.env.ACTIVATION_LIMIT_PER_ACCOUNT) || 10;
+const PASSWORD_RESET_LIMIT_PER_IP = parseInt(process.env.PASSWORD_RESET_LIMIT_PER_IP) || 5;
+const SEARCH_LIMIT_PER_IP = parseInt(process.env.SEARCH_LIMIT_PER_IP) || 60;
+const REPORT_LIMIT_PER_USER = parseInt(process.env.REPORT_LIMIT_PER_USER) || 10;
+const GAME_PLAY_LIMIT_PER_USER = parseInt(process.env.GAME_PLAY_LIMIT_PER_USER) || 20;
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 1;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOCKOUT_MAX_MINUTES) || 60;
+
+const MINUTE_MS = 60 * 1000;
+
+// Behind Railway's proxy the client address is in X-Forwarded-For
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS ?? '1'));
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-// Data directory (fallback for local storage)
-const DATA_DIR = path.join(__dirname, 'data');
+// Token helpers
+// Access tokens are short-lived and sent with every request. Refresh tokens
+// carry the user's token_version so they can be revoked by bumping it.
+function issueTokens(user) {
+    const accessToken = jwt.sign(
+        { sub: String(user.id), username: user.username, type: 'access' },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+    const refreshToken = jwt.sign(
+        { sub: String(user.id), ver: user.token_version || 0, type: 'refresh' },
+        JWT_SECRET,
+        { expiresIn: REFRESH_TOKEN_TTL }
+    );
+    return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+// Password helpers
+// Accounts created before bcrypt was introduced hold an unsalted SHA-256 hex
+// digest. Those are still accepted once and rewritten as bcrypt on login.
+const LEGACY_HASH_PATTERN = /^[a-f0-9]{64}$/;
 
-// Ensure data directory exists
-async function ensureDataDir() {
-    try {
-        await fs.access(DATA_DIR);
-    } catch {
-        await fs.mkdir(DATA_DIR, { recursive: true });
+function isLegacyPasswordHash(hash) {
+    return LEGACY_HASH_PATTERN.test(hash || '');
+}
+
+async function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_COST);
+}
+
+// Returns { valid, needsRehash } so callers can upgrade stale hashes in place
+async function verifyPassword(password, hash) {
+    if (!hash || typeof password !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (isLegacyPasswordHash(hash)) {
+        const legacyHash = crypto.createHash('sha256').update(password).digest('hex');
+        const valid = crypto.timingSafeEqual(Buffer.from(legacyHash), Buffer.from(hash));
+        return { valid, needsRehash: valid };
     }
+
+    const valid = await bcrypt.compare(password, hash);
+    return { valid, needsRehash: valid && bcrypt.getRounds(hash) < BCRYPT_COST };
 }
 
-// Database helper functions
-class Database {
-    static async read(filename) {
-        try {
-            const filePath = path.join(DATA_DIR, `${filename}.json`);
-            const data = await fs.readFile(filePath, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.log(`File ${filename}.json not found, returning empty data`);
-            return {};
+// Email token helpers
+// Verification and reset tokens are random, single-use and stored as SHA-256
+// hashes. Issuing a new token for a purpose invalidates the older ones.
+function hashEmailToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createEmailToken(client, userId, purpose, ttlMinutes) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    await client.query(
+        `UPDATE email_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+        [userId, purpose]
+    );
+    await client.query(
+        `INSERT INTO email_tokens (user_id, purpose, token_hash, expires_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))`,
+        [userId, purpose, hashEmailToken(token), ttlMinutes]
+    );
+    return token;
+}
+
+// Marks the token used and returns its user id, or null if it is unknown, used or expired
+async function consumeEmailToken(client, token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+    
+    const result = await client.query(
+        `UPDATE email_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id`,
+        [hashEmailToken(token), purpose]
+    );
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+async function sendVerificationEmail(client, user) {
+    const token = await createEmailToken(client, user.id, 'verify_email', EMAIL_VERIFY_TTL_HOURS * 60);
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your SkyParty email',
+        text: `Hi ${user.username},\n\n` +
+            `Please confirm your email address by opening this link:\n` +
+            `${APP_BASE_URL}/api/email/verify?token=${token}\n\n` +
+            `The link expires in ${EMAIL_VERIFY_TTL_HOURS} hours.`
+    });
+}
+
+async function sendPasswordResetEmail(client, user) {
+    const token = await createEmailToken(client, user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your SkyParty password',
+        text: `Hi ${user.username},\n\n` +
+            `Enter this reset code in SkyParty to choose a new password:\n\n` +
+            `${token}\n\n` +
+            `The code expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. ` +
+            `If you did not ask for a reset you can ignore this email.`
+    });
+}
+
+// Auth middleware
+function authenticateToken(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+    if (!token) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        if (payload.type !== 'access') {
+            return res.status(401).json({ success: false, error: 'Invalid token' });
         }
+        req.user = { id: payload.sub, username: payload.username };
+        next();
+    } catch (error) {
+        return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+    }
+}
+
+// Reject requests that act on behalf of someone other than the token subject
+const USER_ID_BODY_FIELDS = ['userId', 'senderId'];
+
+function authorizeUser(req, res, next) {
+    const claimedIds = [req.params.userId, ...USER_ID_BODY_FIELDS.map(field => req.body && req.body[field])]
+        .filter(id => id !== undefined && id !== null && id !== '');
+
+    if (claimedIds.some(id => String(id) !== req.user.id)) {
+        return res.status(403).json({ success: false, error: 'Not allowed to act on behalf of another user' });
+    }
+    next();
+}
+
+const requireUser = [authenticateToken, authorizeUser];
+
+// EventSource cannot send headers, so event streams pass the access token as ?accessToken=
+function authenticateStreamToken(req, res, next) {
+    if (!req.headers.authorization && typeof req.query.accessToken === 'string') {
+        req.headers.authorization = `Bearer ${req.query.accessToken}`;
     }
+    authenticateToken(req, res, next);
+}
+
+// For routes open to guests that tailor results to the signed-in user; a bad token still gets a 401
+function optionalAuthenticate(req, res, next) {
+    if (!req.headers.authorization) return next();
+    authenticateToken(req, res, next);
+}
 
-    static async write(filename, data) {
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+const ROLES = ['player', 'moderator', 'admin'];
+
+// The role is read from the database on every request so demotions apply immediately
+function requireRole(minimumRole) {
+    const checkRole = async (req, res, next) => {
         try {
-            const filePath = path.join(DATA_DIR, `${filename}.json`);
-            await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-            return true;
+            const result = await pool.query('SELECT role FROM users WHERE id = $1', [req.user.id]);
+            const role = result.rows.length > 0 ? result.rows[0].role : null;
+            
+            if (ROLES.indexOf(role) < ROLES.indexOf(minimumRole)) {
+                return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+            }
+            req.user.role = role;
+            next();
         } catch (error) {
-            console.error(`Error writing ${filename}.json:`, error);
-            return false;
+            console.error('Role check error:', error);
+            res.status(500).json({ success: false, error: 'Failed to check permissions' });
         }
+    };
+    return [authenticateToken, checkRole];
+}
+
+const requireAdmin = requireRole('admin');
+const requireModerator = requireRole('moderator');
+
+// Refuse a sanctioned player; the client builds the full notice from `sanction`
+function sendSanctioned(res, sanction, errorKey = 'error') {
+    res.status(403).json({ success: false, [errorKey]: SANCTION_MESSAGES[sanction.type], sanction: formatSanction(sanction) });
+}
+
+// What players are told when the content filter rejects their text
+const FILTER_REJECTIONS = {
+    username: 'Usernames cannot contain offensive or reserved words',
+    message: 'Your message contains words that are not allowed',
+    gift: 'Your gift note contains words that are not allowed',
+    bio: 'Your bio contains words that are not allowed'
+};
+
+// Report text the content filter let through under the 'flag' policy. Must run inside a transaction.
+async function flagFilteredText(client, { targetId, field, filtered, evidence = [] }) {
+    const matched = filtered.matches.map(match => `"${match.text}"`).join(', ');
+    await createReport(client, {
+        targetId,
+        reason: field === 'username' ? 'inappropriate_name' : 'inappropriate_content',
+        details: evidence.length > 0
+            ? `Content filter flagged this ${field}: ${matched}`
+            : `Content filter flagged this ${field}: ${matched}\n\n${filtered.text}`,
+        evidence
+    });
+}
+
+// Rate limits and lockouts
+const LOGIN_LIMIT_MESSAGE = 'Too many login attempts, please try again later';
+
+function loginAccountKey(req) {
+    const account = req.body && (req.body.username || req.body.email);
+    return typeof account === 'string' ? account.trim().toLowerCase() : null;
+}
+
+// Login attempts are counted per account and address, so failing logins for an
+// account from somewhere else cannot lock its owner out
+function loginAttemptKey(req) {
+    const account = loginAccountKey(req);
+    return account ? `${account}|${req.ip}` : null;
+}
+
+// The legacy /api/users/* routes report errors in `error`, the newer ones in `message`
+function loginRateLimits(errorKey) {
+    return [
+        rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE_MS, max: LOGIN_LIMIT_PER_IP, keys: req => [req.ip], message: LOGIN_LIMIT_MESSAGE, errorKey }),
+        rateLimit({ name: 'login-account', windowMs: 15 * MINUTE_MS, max: LOGIN_LIMIT_PER_ACCOUNT, keys: req => [loginAttemptKey(req)], message: LOGIN_LIMIT_MESSAGE, errorKey })
+    ];
+}
+
+function registerRateLimit(errorKey) {
+    return rateLimit({
+        name: 'register-ip',
+        windowMs: 60 * MINUTE_MS,
+        max: REGISTER_LIMIT_PER_IP,
+        keys: req => [req.ip],
+        message: 'Too many accounts created from this address, please try again later',
+        errorKey
+    });
+}
+
+const activationRateLimits = [
+    rateLimit({ name: 'activation-ip', windowMs: 15 * MINUTE_MS, max: ACTIVATION_LIMIT_PER_IP, keys: req => [req.ip], message: 'Too many activation attempts, please try again later' }),
+    rateLimit({ name: 'activation-account', windowMs: 15 * MINUTE_MS, max: ACTIVATION_LIMIT_PER_ACCOUNT, keys: req => [req.user.id], message: 'Too many activation attempts, please try again later' })
+];
+
+const passwordResetRateLimit = rateLimit({
+    name: 'password-reset-ip',
+    windowMs: 15 * MINUTE_MS,
+    max: PASSWORD_RESET_LIMIT_PER_IP,
+    keys: req => [req.ip],
+    message: 'Too many password reset requests, please try again later',
+    errorKey: 'message'
+});
+
+const searchRateLimit = rateLimit({
+    name: 'search-ip',
+    windowMs: MINUTE_MS,
+    max: SEARCH_LIMIT_PER_IP,
+    keys: req => [req.ip],
+    message: 'Searching too fast, please slow down'
+});
+
+const reportRateLimit = rateLimit({
+    name: 'report-account',
+    windowMs: 60 * MINUTE_MS,
+    max: REPORT_LIMIT_PER_USER,
+    keys: req => [req.user.id],
+    message: 'Too many reports, please try again later'
+});
+
+// Each game session pays out, so this also caps what an account can earn per hour
+const gamePlayRateLimit = rateLimit({
+    name: 'game-play-account',
+    windowMs: 60 * MINUTE_MS,
+    max: GAME_PLAY_LIMIT_PER_USER,
+    keys: req => [req.user.id],
+    message: 'You have played a lot of games, please take a break and try again later'
+});
+
+const lockoutOptions = {
+    threshold: LOCKOUT_THRESHOLD,
+    windowMs: LOCKOUT_MAX_MINUTES * MINUTE_MS,
+    baseLockMs: LOCKOUT_BASE_MINUTES * MINUTE_MS,
+    maxLockMs: LOCKOUT_MAX_MINUTES * MINUTE_MS
+};
+
+// Failed logins lock the account for the address they came from, like the limits above
+const loginLockout = createLockout({ name: 'login', ...lockoutOptions });
+const activationLockout = createLockout({ name: 'activation', ...lockoutOptions });
+
+function describeWait(ms) {
+    const minutes = Math.ceil(ms / MINUTE_MS);
+    return minutes <= 1 ? 'a minute' : `${minutes} minutes`;
+}
+
+// Promote ADMIN_EMAIL's account if the server has no admin yet
+async function bootstrapAdmin(client) {
+    if (!ADMIN_EMAIL) return;
+    
+    const result = await client.query(`
+        UPDATE users SET role = 'admin'
+        WHERE LOWER(email) = LOWER($1) AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')
+        RETURNING id
+    `, [ADMIN_EMAIL]);
+    if (result.rows.length > 0) {
+        console.log(`👑 Bootstrapped ${ADMIN_EMAIL} as the first admin`);
     }
+}
 
-    static async append(filename, key, newData) {
-        const existingData = await this.read(filename);
-        if (!existingData[key]) {
-            existingData[key] = [];
-        }
-        existingData[key].push({
-            ...newData,
-            id: crypto.randomUUID(),
-            timestamp: new Date().toISOString()
-        });
-        return await this.write(filename, existingData);
+// Character helpers
+const STARTER_CHARACTER = 'kitty';
+
+// The starter character is owned by everyone, even without a user_characters row
+async function getOwnedCharacters(client, userId) {
+    const result = await client.query(
+        'SELECT character_id FROM user_characters WHERE user_id = $1 ORDER BY acquired_at ASC',
+        [userId]
+    );
+    const owned = result.rows.map(row => row.character_id);
+    return owned.includes(STARTER_CHARACTER) ? owned : [STARTER_CHARACTER, ...owned];
+}
+
+async function addCharacter(client, userId, characterId, acquiredVia) {
+    await client.query(`
+        INSERT INTO user_characters (user_id, character_id, acquired_via)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_id, character_id) 
+        DO UPDATE SET quantity = user_characters.quantity + 1
+    `, [userId, characterId, acquiredVia]);
+}
+
+// Take one copy of a character from a user, e.g. to put it in a gift. Must run inside
+// a transaction. Returns false if the user has no copy; the implicit starter does not count.
+async function takeCharacter(client, userId, characterId) {
+    const result = await client.query(
+        'SELECT quantity FROM user_characters WHERE user_id = $1 AND character_id = $2 FOR UPDATE',
+        [userId, characterId]
+    );
+    if (result.rows.length === 0 || result.rows[0].quantity < 1) {
+        return false;
+    }
+    
+    if (result.rows[0].quantity > 1) {
+        await client.query(
+            'UPDATE user_characters SET quantity = quantity - 1 WHERE user_id = $1 AND character_id = $2',
+            [userId, characterId]
+        );
+    } else {
+        await client.query(
+            'DELETE FROM user_characters WHERE user_id = $1 AND character_id = $2',
+            [userId, characterId]
+        );
+        // Giving away the last copy of the selected character falls back to the starter
+        await client.query(
+            'UPDATE users SET currentCharacter = $1 WHERE id = $2 AND currentCharacter = $3',
+            [STARTER_CHARACTER, userId, characterId]
+        );
     }
+    return true;
 }
 
 // User Management Routes
-app.post('/api/users/register', async (req, res) => {
+app.post('/api/users/register', registerRateLimit('error'), async (req, res) => {
     try {
         const { username, email, password } = req.body;
         
@@ -84,57 +475,75 @@ app.post('/api/users/register', async (req, res) => {
                 error: 'Username, email, and password are required' 
             });
         }
-
-        const users = await Database.read('users');
-        
-        // Check if user already exists
-        if (users[email]) {
-            return res.status(409).json({ 
-                success: false, 
-                error: 'User already exists' 
-            });
+        if (typeof password !== 'string') {
+            return res.status(400).json({ success: false, error: 'Password must be a string' });
         }
-
-        // Check if username is taken
-        const existingUsername = Object.values(users).find(user => user.username === username);
-        if (existingUsername) {
-            return res.status(409).json({ 
-                success: false, 
-                error: 'Username already taken' 
-            });
+        
+        const filteredName = checkText('username', username);
+        if (filteredName.action === 'reject') {
+            return res.status(400).json({ success: false, error: FILTER_REJECTIONS.username });
         }
 
-        // Create user
-        const user = {
-            id: crypto.randomUUID(),
-            username,
-            email,
-            gameCredits: 150,
-            currentCharacter: 'kitty',
-            ownedCharacters: ['kitty'],
-            registeredAt: new Date().toISOString(),
-            lastLogin: new Date().toISOString(),
-            activated: false,
-            activationCode: null
-        };
+        const client = await pool.connect();
+        try {
+            const existing = await client.query(
+                'SELECT username, email FROM users WHERE username = $1 OR email = $2',
+                [username, email]
+            );
+            
+            // Check if user already exists
+            if (existing.rows.some(user => user.email === email)) {
+                return res.status(409).json({ 
+                    success: false, 
+                    error: 'User already exists' 
+                });
+            }
 
-        users[email] = user;
-        await Database.write('users', users);
+            // Check if username is taken
+            if (existing.rows.length > 0) {
+                return res.status(409).json({ 
+                    success: false, 
+                    error: 'Username already taken' 
+                });
+            }
 
-        // Initialize user data collections
-        await Database.write(`inventory_${user.id}`, []);
-        await Database.write(`mailbox_${user.id}`, []);
-        await Database.write(`conversations_${user.id}`, []);
+            // Create user with their starting balance
+            await client.query('BEGIN');
+            const result = await client.query(
+                `INSERT INTO users (username, email, password_hash, currentCharacter, last_login, ledger_opened_at)
+                 VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                 RETURNING id, username, email, token_version`,
+                [username, email, await hashPassword(password), STARTER_CHARACTER]
+            );
+            const user = result.rows[0];
+            await transferCredits(client, {
+                from: SYSTEM_ACCOUNTS.REWARDS,
+                to: user.id,
+                amount: STARTING_CREDITS,
+                reason: 'starting_balance'
+            });
+            if (filteredName.action === 'flag') {
+                await flagFilteredText(client, { targetId: user.id, field: 'username', filtered: filteredName });
+            }
+            await bootstrapAdmin(client);
+            await client.query('COMMIT');
 
-        res.json({ 
-            success: true, 
-            user: { 
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                gameCredits: user.gameCredits 
-            } 
-        });
+            res.json({ 
+                success: true, 
+                user: { 
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    gameCredits: STARTING_CREDITS 
+                },
+                tokens: issueTokens(user)
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
 
     } catch (error) {
         console.error('Registration error:', error);
@@ -142,37 +551,84 @@ app.post('/api/users/register', async (req, res) => {
     }
 });
 
-app.post('/api/users/login', async (req, res) => {
+app.post('/api/users/login', loginRateLimits('error'), async (req, res) => {
     try {
         const { email, password } = req.body;
         
-        const users = await Database.read('users');
-        const user = users[email];
-        
-        if (!user) {
-            return res.status(401).json({ 
+        if (!email || !password) {
+            return res.status(400).json({ 
                 success: false, 
-                error: 'Invalid credentials' 
+                error: 'Email and password are required' 
             });
         }
+        if (typeof password !== 'string') {
+            return res.status(400).json({ success: false, error: 'Password must be a string' });
+        }
+        
+        const lockKey = loginAttemptKey(req);
+        const lockedFor = await loginLockout.retryAfter(lockKey);
+        if (lockedFor > 0) {
+            return sendTooManyRequests(res, lockedFor, `Too many failed login attempts, try again in ${describeWait(lockedFor)}`);
+        }
+        
+        const client = await pool.connect();
+        try {
+            const result = await client.query(
+                `SELECT id, username, email, password_hash, token_version, currentCharacter, activated
+                 FROM users WHERE email = $1`,
+                [email]
+            );
+            const user = result.rows[0];
+            
+            // Imported users without a stored password have an empty hash and cannot log in here
+            const { valid, needsRehash } = await verifyPassword(password, user && user.password_hash);
+            
+            if (!user || !valid) {
+                const lockMs = await loginLockout.recordFailure(lockKey);
+                if (lockMs > 0) {
+                    return sendTooManyRequests(res, lockMs, `Too many failed login attempts, try again in ${describeWait(lockMs)}`);
+                }
+                return res.status(401).json({ 
+                    success: false, 
+                    error: 'Invalid credentials' 
+                });
+            }
+            await loginLockout.reset(lockKey);
 
-        // Update last login
-        user.lastLogin = new Date().toISOString();
-        users[email] = user;
-        await Database.write('users', users);
+            const sanction = await getActiveSanction(client, user.id, LOGIN_SANCTIONS);
+            if (sanction) {
+                return sendSanctioned(res, sanction);
+            }
 
-        res.json({ 
-            success: true, 
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                gameCredits: user.gameCredits,
-                currentCharacter: user.currentCharacter,
-                ownedCharacters: user.ownedCharacters,
-                activated: user.activated
+            if (needsRehash) {
+                await client.query(
+                    'UPDATE users SET password_hash = $1 WHERE id = $2',
+                    [await hashPassword(password), user.id]
+                );
             }
-        });
+
+            // Update last login
+            await client.query(
+                'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+                [user.id]
+            );
+
+            res.json({ 
+                success: true, 
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    gameCredits: await getBalance(client, user.id),
+                    currentCharacter: user.currentcharacter || STARTER_CHARACTER,
+                    ownedCharacters: await getOwnedCharacters(client, user.id),
+                    activated: user.activated
+                },
+                tokens: issueTokens(user)
+            });
+        } finally {
+            client.release();
+        }
 
     } catch (error) {
         console.error('Login error:', error);
@@ -180,49 +636,24 @@ app.post('/api/users/login', async (req, res) => {
     }
 });
 
-app.get('/api/users/search', async (req, res) => {
+// Ranked username search, a page at a time
+app.get('/api/users/search', searchRateLimit, optionalAuthenticate, async (req, res) => {
     try {
-        const { query } = req.query;
-        
-        console.log('🔍 User search request:', query);
+        const query = typeof req.query.query === 'string' ? req.query.query.trim() : '';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+        // Users who blocked the searcher do not show up for them
+        const searcherId = req.user ? req.user.id : null;
         
         if (!query) {
-            return res.json({ success: true, users: [] });
+            return res.json({ success: true, users: [], page, limit, hasMore: false });
         }
-
-        // Search PostgreSQL database for users
-        const client = await pool.connect();
-        try {
-            // First try with currentCharacter column
-            let result;
-            try {
-                result = await client.query(
-                    'SELECT id, username, email, currentCharacter, created_at FROM users WHERE username ILIKE $1 ORDER BY username',
-                    [`%${query}%`]
-                );
-            } catch (error) {
-                // If currentCharacter column doesn't exist, fall back to basic query
-                console.log('⚠️ currentCharacter column not found, using fallback query');
-                result = await client.query(
-                    'SELECT id, username, email, created_at FROM users WHERE username ILIKE $1 ORDER BY username',
-                    [`%${query}%`]
-                );
-            }
-            
-            const users = result.rows.map(row => ({
-                id: row.id,
-                username: row.username,
-                email: row.email,
-                currentCharacter: row.currentcharacter || 'kitty', // Default to kitty if column doesn't exist
-                createdAt: row.created_at
-            }));
-            
-            console.log('✅ Found users in PostgreSQL:', users.length);
-            res.json({ success: true, users: users });
-            
-        } finally {
-            client.release();
+        if (query.length > SEARCH_QUERY_MAX_LENGTH) {
+            return res.status(400).json({ success: false, error: `Search text must be 1-${SEARCH_QUERY_MAX_LENGTH} characters` });
         }
+        
+        const { users, hasMore } = await searchUsers(pool, searcherId, query, { page, limit });
+        res.json({ success: true, users, page, limit, hasMore });
 
     } catch (error) {
         console.error('❌ User search error:', error);
@@ -230,586 +661,3537 @@ app.get('/api/users/search', async (req, res) => {
     }
 });
 
-// Debug endpoint to check all users in database
-app.get('/api/debug/users', async (req, res) => {
+app.get('/api/user/:userId/searches', requireUser, async (req, res) => {
     try {
-        const client = await pool.connect();
-        try {
-            const result = await client.query('SELECT id, username, email, created_at FROM users ORDER BY created_at DESC');
-            
-            console.log('📊 All users in database:', result.rows.length);
-            result.rows.forEach(user => {
-                console.log(`👤 User: ${user.username} (${user.email}) - Created: ${user.created_at}`);
-            });
-            
-            res.json({ 
-                success: true, 
-                totalUsers: result.rows.length,
-                users: result.rows 
-            });
-            
-        } finally {
-            client.release();
-        }
+        res.json({ success: true, searches: await listRecentSearches(pool, req.params.userId) });
+
     } catch (error) {
-        console.error('❌ Debug users error:', error);
-        res.status(500).json({ success: false, error: 'Debug failed' });
+        console.error('Recent searches error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch recent searches' });
     }
 });
 
-// Activation Routes
-app.post('/api/activation/activate', async (req, res) => {
+app.post('/api/user/:userId/searches', requireUser, async (req, res) => {
     try {
-        const { email, activationCode } = req.body;
-        
-        const validCodes = [
-            'SKYP-ARTY-2024-GOLD',
-            'TEST-CODE-ABCD-1234',
-            'DEMO-FULL-ACCE-XYZ',
-            'PREM-IUMU-SER2-024',
-            'VIPM-EMBE-RCOD-E123',
-            'BETA-TEST-ER20-24',
-            'EARL-YBIR-DSPE-CIAL',
-            'FOUN-DER2-024-CODE',
-            'GOLD-ENTI-CKET-CODE',
-            'PLAT-INUM-ACCE-SS24'
-        ];
-
-        if (!validCodes.includes(activationCode)) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Invalid activation code' 
-            });
+        const { userId } = req.params;
+        const query = typeof req.body.query === 'string' ? req.body.query.trim() : '';
+        if (!query || query.length > SEARCH_QUERY_MAX_LENGTH) {
+            return res.status(400).json({ success: false, error: `Search text must be 1-${SEARCH_QUERY_MAX_LENGTH} characters` });
         }
-
-        const users = await Database.read('users');
-        const user = users[email];
         
-        if (!user) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'User not found' 
-            });
+        const client = await pool.connect();
+        try {
+            await recordSearch(client, userId, query);
+            res.json({ success: true, searches: await listRecentSearches(client, userId) });
+        } finally {
+            client.release();
         }
 
-        user.activated = true;
-        user.activationCode = activationCode;
-        user.activatedAt = new Date().toISOString();
-        
-        users[email] = user;
-        await Database.write('users', users);
+    } catch (error) {
+        console.error('Record search error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save search' });
+    }
+});
 
-        res.json({ success: true, message: 'Activation successful' });
+app.delete('/api/user/:userId/searches', requireUser, async (req, res) => {
+    try {
+        await clearRecentSearches(pool, req.params.userId);
+        res.json({ success: true, searches: [] });
 
     } catch (error) {
-        console.error('Activation error:', error);
-        res.status(500).json({ success: false, error: 'Activation failed' });
+        console.error('Clear searches error:', error);
+        res.status(500).json({ success: false, error: 'Failed to clear recent searches' });
     }
 });
 
-// Credits Management Routes
-app.post('/api/credits/update', async (req, res) => {
+app.delete('/api/user/:userId/searches/:searchId', requireUser, async (req, res) => {
     try {
-        const { userId, amount, operation } = req.body; // operation: 'add' or 'subtract'
-        
-        const users = await Database.read('users');
-        const user = Object.values(users).find(u => u.id === userId);
+        const { userId, searchId } = req.params;
         
-        if (!user) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'User not found' 
-            });
-        }
-
-        if (operation === 'add') {
-            user.gameCredits += amount;
-        } else if (operation === 'subtract') {
-            if (user.gameCredits < amount) {
-                return res.status(400).json({ 
-                    success: false, 
-                    error: 'Insufficient credits' 
-                });
+        const client = await pool.connect();
+        try {
+            const removed = /^\d+$/.test(searchId) ? await clearRecentSearches(client, userId, searchId) : 0;
+            if (removed === 0) {
+                return res.status(404).json({ success: false, error: 'Search not found' });
             }
-            user.gameCredits -= amount;
-        }
-
-        // Update user in database
-        users[user.email] = user;
-        await Database.write('users', users);
-
-        // Log transaction
-        const transactions = await Database.read('transactions');
-        if (!transactions[userId]) {
-            transactions[userId] = [];
+            res.json({ success: true, searches: await listRecentSearches(client, userId) });
+        } finally {
+            client.release();
         }
-        transactions[userId].push({
-            id: crypto.randomUUID(),
-            amount: operation === 'add' ? amount : -amount,
-            type: operation,
-            timestamp: new Date().toISOString(),
-            balance: user.gameCredits
-        });
-        await Database.write('transactions', transactions);
-
-        res.json({ 
-            success: true, 
-            newBalance: user.gameCredits 
-        });
 
     } catch (error) {
-        console.error('Credits update error:', error);
-        res.status(500).json({ success: false, error: 'Credits update failed' });
+        console.error('Delete search error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete search' });
     }
 });
 
-// Character Management Routes
-app.post('/api/characters/purchase', async (req, res) => {
+// Public profile; each field is shown according to the player's visibility settings
+app.get('/api/users/:username/profile', optionalAuthenticate, async (req, res) => {
     try {
-        const { userId, characterId, characterData } = req.body;
-        
-        const users = await Database.read('users');
-        const user = Object.values(users).find(u => u.id === userId);
+        const viewerId = req.user ? req.user.id : null;
         
-        if (!user) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'User not found' 
-            });
-        }
-
-        // Check if user has enough credits
-        if (user.gameCredits < characterData.price) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Insufficient credits' 
-            });
-        }
-
-        // Deduct credits and add character
-        user.gameCredits -= characterData.price;
-        if (!user.ownedCharacters.includes(characterId)) {
-            user.ownedCharacters.push(characterId);
-        }
-
-        // Update user in database
-        users[user.email] = user;
-        await Database.write('users', users);
-
-        // Add to inventory
-        const inventory = await Database.read(`inventory_${userId}`);
-        inventory.push({
-            id: crypto.randomUUID(),
-            type: 'character',
-            characterId: characterId,
-            name: characterData.name,
-            icon: characterData.icon,
-            description: characterData.description,
-            price: characterData.price,
-            acquiredDate: new Date().toISOString(),
-            source: 'purchase'
-        });
-        await Database.write(`inventory_${userId}`, inventory);
-
-        res.json({ 
-            success: true, 
-            newBalance: user.gameCredits,
-            ownedCharacters: user.ownedCharacters 
-        });
+        const client = await pool.connect();
+        try {
+            // Exact case wins if two names differ only in case
+            const userQuery = await client.query(`
+                SELECT u.id, u.username, u.created_at, u.currentCharacter AS character_id, u.bio,
+                       u.profile_showcase, u.profile_visibility, c.name AS character_name, c.icon AS character_icon
+                FROM users u
+                LEFT JOIN characters c ON c.id = u.currentCharacter
+                WHERE LOWER(u.username) = LOWER($1)
+                ORDER BY u.username = $1 DESC
+                LIMIT 1
+            `, [req.params.username]);
+            const user = userQuery.rows[0];
+            // Players who blocked the viewer do not exist for them, as in search
+            if (!user || (viewerId && (await getBlockersAmong(client, viewerId, [user.id])).length > 0)) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            let relation = 'other';
+            if (String(user.id) === String(viewerId)) {
+                relation = 'self';
+            } else if (viewerId) {
+                const friendship = await getFriendship(client, viewerId, user.id);
+                if (friendship && friendship.status === 'accepted') relation = 'friend';
+            }
+            
+            const owned = await getOwnedCharacters(client, user.id);
+            const games = await client.query(
+                'SELECT COUNT(*) AS count, COALESCE(SUM(earned_credits), 0) AS experience FROM game_sessions WHERE user_id = $1',
+                [user.id]
+            );
+            // Only characters the player still owns, in the order they chose
+            const showcaseIds = (user.profile_showcase || []).filter(id => owned.includes(id));
+            const showcaseQuery = await client.query(
+                'SELECT id, name, icon FROM characters WHERE id = ANY($1::varchar[])',
+                [showcaseIds]
+            );
+            const showcase = showcaseIds
+                .map(id => showcaseQuery.rows.find(character => character.id === id))
+                .filter(Boolean);
+            
+            const visibility = normalizeVisibility(user.profile_visibility);
+            const fields = applyVisibility({
+                joinDate: user.created_at,
+                currentCharacter: {
+                    id: user.character_id,
+                    name: user.character_name || user.character_id,
+                    icon: user.character_icon || '🐱'
+                },
+                charactersOwned: owned.length,
+                gamesPlayed: parseInt(games.rows[0].count),
+                level: levelForExperience(parseInt(games.rows[0].experience)),
+                bio: user.bio || '',
+                showcase
+            }, visibility, relation);
+            
+            res.json({
+                success: true,
+                profile: { id: user.id, username: user.username, isFriend: relation === 'friend', ...fields },
+                // Only the owner sees their settings
+                ...(relation === 'self' ? { visibility } : {})
+            });
+        } finally {
+            client.release();
+        }
 
     } catch (error) {
-        console.error('Character purchase error:', error);
-        res.status(500).json({ success: false, error: 'Purchase failed' });
+        console.error('Profile error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch profile' });
     }
 });
 
-app.post('/api/characters/select', async (req, res) => {
+// Update the bio, showcase or field visibility; omitted parts are left unchanged
+app.put('/api/user/:userId/profile', requireUser, async (req, res) => {
     try {
-        const { userId, characterId } = req.body;
+        const { userId } = req.params;
+        const { bio, showcase, visibility } = req.body;
         
-        const users = await Database.read('users');
-        const user = Object.values(users).find(u => u.id === userId);
+        if (bio !== undefined && (typeof bio !== 'string' || bio.trim().length > BIO_MAX_LENGTH)) {
+            return res.status(400).json({ success: false, error: `Bios can be at most ${BIO_MAX_LENGTH} characters` });
+        }
+        if (showcase !== undefined && (!Array.isArray(showcase) || showcase.length > MAX_SHOWCASE_CHARACTERS ||
+            showcase.some(id => typeof id !== 'string') || new Set(showcase).size !== showcase.length)) {
+            return res.status(400).json({ success: false, error: `Feature up to ${MAX_SHOWCASE_CHARACTERS} different characters` });
+        }
+        const visibilityError = visibility !== undefined && validateVisibility(visibility);
+        if (visibilityError) {
+            return res.status(400).json({ success: false, error: visibilityError });
+        }
         
-        if (!user) {
-            return res.status(404).json({ 
-                success: false, 
-                error: 'User not found' 
-            });
+        // Bios go through the same filter rules as chat messages
+        const filteredBio = bio !== undefined ? checkText('message', bio.trim()) : null;
+        if (filteredBio && filteredBio.action === 'reject') {
+            return res.status(400).json({ success: false, error: FILTER_REJECTIONS.bio });
         }
-
-        // Check if user owns the character
-        if (!user.ownedCharacters.includes(characterId)) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Character not owned' 
-            });
+        
+        const client = await pool.connect();
+        let updated;
+        try {
+            if (showcase !== undefined) {
+                const owned = await getOwnedCharacters(client, userId);
+                if (showcase.some(id => !owned.includes(id))) {
+                    return res.status(400).json({ success: false, error: 'You can only feature characters you own' });
+                }
+            }
+            
+            await client.query('BEGIN');
+            const current = await client.query('SELECT profile_visibility FROM users WHERE id = $1 FOR UPDATE', [userId]);
+            const mergedVisibility = { ...normalizeVisibility(current.rows[0].profile_visibility), ...visibility };
+            
+            const result = await client.query(`
+                UPDATE users SET
+                    bio = CASE WHEN $2 THEN $3 ELSE bio END,
+                    profile_showcase = COALESCE($4, profile_showcase),
+                    profile_visibility = $5
+                WHERE id = $1
+                RETURNING bio, profile_showcase, profile_visibility
+            `, [
+                userId,
+                filteredBio !== null,
+                filteredBio ? filteredBio.text : null,
+                showcase !== undefined ? JSON.stringify(showcase) : null,
+                JSON.stringify(mergedVisibility)
+            ]);
+            updated = result.rows[0];
+            
+            if (filteredBio && filteredBio.action === 'flag') {
+                await flagFilteredText(client, { targetId: userId, field: 'bio', filtered: filteredBio });
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
         }
-
-        user.currentCharacter = characterId;
-        users[user.email] = user;
-        await Database.write('users', users);
-
-        res.json({ 
-            success: true, 
-            currentCharacter: characterId 
+        
+        console.log(`👤 User ${userId} updated their profile`);
+        res.json({
+            success: true,
+            bio: updated.bio || '',
+            showcase: updated.profile_showcase,
+            visibility: normalizeVisibility(updated.profile_visibility)
         });
 
     } catch (error) {
-        console.error('Character selection error:', error);
-        res.status(500).json({ success: false, error: 'Selection failed' });
+        console.error('Profile update error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update profile' });
     }
 });
 
-// Inventory Management Routes
-app.get('/api/inventory/:userId', async (req, res) => {
+// Base Routes
+function formatBase(base, placeable) {
+    return {
+        width: BASE_WIDTH,
+        height: BASE_HEIGHT,
+        layout: describeLayout(base.layout, placeable),
+        version: base.version,
+        visibility: base.visibility,
+        visitCount: base.visit_count,
+        updatedAt: base.updated_at
+    };
+}
+
+// The owner's editable view, with everything they can place
+app.get('/api/user/:userId/base', requireUser, async (req, res) => {
     try {
         const { userId } = req.params;
-        const inventory = await Database.read(`inventory_${userId}`);
         
-        res.json({ success: true, items: inventory });
+        const client = await pool.connect();
+        try {
+            const base = await getBase(client, userId);
+            const placeable = await getPlaceableItems(client, userId, await getOwnedCharacters(client, userId));
+            res.json({ success: true, base: formatBase(base, placeable), placeable, decorations: listDecorations() });
+        } finally {
+            client.release();
+        }
 
     } catch (error) {
-        console.error('Inventory fetch error:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch inventory' });
+        console.error('Base fetch error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch base' });
     }
 });
 
-app.post('/api/inventory/add', async (req, res) => {
+// Save the whole layout; version must be the one the layout was edited from
+app.put('/api/user/:userId/base', requireUser, async (req, res) => {
     try {
-        const { userId, item } = req.body;
+        const { userId } = req.params;
+        const { layout, version } = req.body;
+        if (!Number.isInteger(version)) {
+            return res.status(400).json({ success: false, error: 'The layout version is required' });
+        }
         
-        const inventory = await Database.read(`inventory_${userId}`);
-        inventory.push({
-            ...item,
-            id: crypto.randomUUID(),
-            acquiredDate: new Date().toISOString()
-        });
-        await Database.write(`inventory_${userId}`, inventory);
-
-        res.json({ success: true });
+        const client = await pool.connect();
+        let saved;
+        let placeable;
+        try {
+            placeable = await getPlaceableItems(client, userId, await getOwnedCharacters(client, userId));
+            const layoutError = validateLayout(layout, placeable);
+            if (layoutError) {
+                return res.status(400).json({ success: false, error: layoutError });
+            }
+            
+            await getBase(client, userId);
+            const result = await client.query(`
+                UPDATE player_bases SET layout = $3, version = version + 1, updated_at = CURRENT_TIMESTAMP
+                WHERE user_id = $1 AND version = $2
+                RETURNING *
+            `, [
+                userId,
+                version,
+                JSON.stringify(layout.map(item => ({ x: item.x, y: item.y, kind: item.kind, id: String(item.id) })))
+            ]);
+            if (result.rows.length === 0) {
+                const current = await client.query('SELECT version FROM player_bases WHERE user_id = $1', [userId]);
+                return res.status(409).json({
+                    success: false,
+                    error: 'Your base was changed somewhere else. Reload it and try again.',
+                    version: current.rows[0].version
+                });
+            }
+            saved = result.rows[0];
+        } finally {
+            client.release();
+        }
+        
+        console.log(`🏠 User ${userId} saved base layout version ${saved.version}`);
+        res.json({ success: true, base: formatBase(saved, placeable) });
 
     } catch (error) {
-        console.error('Inventory add error:', error);
-        res.status(500).json({ success: false, error: 'Failed to add item' });
+        console.error('Base save error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save base' });
     }
 });
 
-// Messaging System Routes
-// Get conversations for a user
-app.get('/api/messages/conversations/:userId', async (req, res) => {
+// Buy one decoration from the catalogue; it goes into the inventory, ready to place
+app.post('/api/user/:userId/base/decorations', requireUser, async (req, res) => {
     try {
         const { userId } = req.params;
-        const client = await pool.connect();
-        
-        // Get conversations where user is a participant
-        const conversationsQuery = `
-            SELECT DISTINCT c.id, c.created_at, c.updated_at,
-                   u1.username as participant1_username,
-                   u2.username as participant2_username,
-                   u1.id as participant1_id,
-                   u2.id as participant2_id
-            FROM conversations c
-            LEFT JOIN users u1 ON c.participant1_id = u1.id
-            LEFT JOIN users u2 ON c.participant2_id = u2.id
-            WHERE c.participant1_id = $1 OR c.participant2_id = $1
-            ORDER BY c.updated_at DESC
-        `;
-        
-        const conversationsResult = await client.query(conversationsQuery, [userId]);
+        const { decorationId } = req.body;
+        const decoration = Object.prototype.hasOwnProperty.call(DECORATIONS, decorationId) ? DECORATIONS[decorationId] : null;
+        if (!decoration) {
+            return res.status(404).json({ success: false, error: 'Decoration not found' });
+        }
         
-        // Get messages for each conversation
-        const conversations = [];
-        for (const conv of conversationsResult.rows) {
-            const messagesQuery = `
-                SELECT m.id, m.content, m.created_at, m.read_status,
-                       u.username as sender_username, u.id as sender_id
-                FROM messages m
-                LEFT JOIN users u ON m.sender_id = u.id
-                WHERE m.conversation_id = $1
-                ORDER BY m.created_at ASC
-            `;
-            
-            const messagesResult = await client.query(messagesQuery, [conv.id]);
-            
-            // Determine the other participant
-            const otherParticipant = conv.participant1_id == userId ? 
-                { id: conv.participant2_id, username: conv.participant2_username } :
-                { id: conv.participant1_id, username: conv.participant1_username };
-            
-            conversations.push({
-                id: conv.id,
-                participants: [conv.participant1_username, conv.participant2_username],
-                otherParticipant: otherParticipant.username,
-                messages: messagesResult.rows.map(msg => ({
-                    id: msg.id,
-                    sender: msg.sender_username,
-                    senderId: msg.sender_id,
-                    content: msg.content,
-                    timestamp: msg.created_at.toISOString(),
-                    read: msg.read_status
-                })),
-                lastActivity: conv.updated_at.toISOString()
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const transactionId = await transferCredits(client, {
+                from: userId,
+                to: SYSTEM_ACCOUNTS.STORE,
+                amount: decoration.price,
+                reason: 'spend',
+                referenceId: `decoration:${decorationId}`
+            });
+            if (transactionId === null) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, error: 'Insufficient credits' });
+            }
+            await addDecoration(client, userId, decorationId);
+            await client.query('COMMIT');
+            
+            res.json({
+                success: true,
+                newBalance: await getBalance(client, userId),
+                placeable: await getPlaceableItems(client, userId, await getOwnedCharacters(client, userId))
             });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
         }
-        
-        client.release();
-        res.json({ success: true, conversations });
 
     } catch (error) {
-        console.error('Conversations fetch error:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch conversations' });
+        console.error('Decoration purchase error:', error);
+        res.status(500).json({ success: false, error: 'Failed to buy decoration' });
     }
 });
 
-// Send a message
-app.post('/api/messages/send', async (req, res) => {
+app.put('/api/user/:userId/base/visibility', requireUser, async (req, res) => {
     try {
-        const { senderId, recipientId, content, conversationId } = req.body;
-        const client = await pool.connect();
-        
-        // Get sender and recipient usernames
-        const senderQuery = await client.query('SELECT username FROM users WHERE id = $1', [senderId]);
-        const recipientQuery = await client.query('SELECT username FROM users WHERE id = $1', [recipientId]);
-        
-        if (senderQuery.rows.length === 0 || recipientQuery.rows.length === 0) {
-            client.release();
-            return res.status(400).json({ success: false, error: 'Invalid sender or recipient' });
-        }
-        
-        const senderUsername = senderQuery.rows[0].username;
-        const recipientUsername = recipientQuery.rows[0].username;
-        
-        // Ensure conversation exists
-        let convId = conversationId;
-        if (!convId) {
-            // Create conversation ID from usernames
-            convId = [senderUsername, recipientUsername].sort().join('_');
-        }
-        
-        // Check if conversation exists, create if not
-        const convCheck = await client.query('SELECT id FROM conversations WHERE id = $1', [convId]);
-        if (convCheck.rows.length === 0) {
-            await client.query(`
-                INSERT INTO conversations (id, participant1_id, participant2_id)
-                VALUES ($1, $2, $3)
-            `, [convId, senderId, recipientId]);
+        const { userId } = req.params;
+        const { visibility } = req.body;
+        if (!BASE_VISIBILITY_LEVELS.includes(visibility)) {
+            return res.status(400).json({ success: false, error: `Visibility must be one of: ${BASE_VISIBILITY_LEVELS.join(', ')}` });
         }
         
-        // Insert message
-        const messageQuery = `
-            INSERT INTO messages (conversation_id, sender_id, recipient_id, content)
-            VALUES ($1, $2, $3, $4)
-            RETURNING id, created_at
-        `;
-        
-        const messageResult = await client.query(messageQuery, [convId, senderId, recipientId, content]);
-        const message = messageResult.rows[0];
-        
-        // Update conversation timestamp
-        await client.query(`
-            UPDATE conversations 
-            SET updated_at = CURRENT_TIMESTAMP 
-            WHERE id = $1
-        `, [convId]);
-        
-        client.release();
-        
-        res.json({ 
-            success: true, 
-            message: {
-                id: message.id,
-                sender: senderUsername,
-                senderId: senderId,
-                recipient: recipientUsername,
-                recipientId: recipientId,
-                content: content,
-                timestamp: message.created_at.toISOString(),
-                read: false
-            }
-        });
+        await getBase(pool, userId);
+        await pool.query('UPDATE player_bases SET visibility = $2 WHERE user_id = $1', [userId, visibility]);
+        res.json({ success: true, visibility });
 
     } catch (error) {
-        console.error('Message send error:', error);
-        res.status(500).json({ success: false, error: 'Failed to send message' });
+        console.error('Base visibility error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update base visibility' });
     }
 });
 
-// Mailbox/Gifts System Routes
-app.get('/api/mailbox/:userId', async (req, res) => {
+// Read-only view of another player's base; counts the visit
+app.get('/api/users/:username/base', optionalAuthenticate, async (req, res) => {
     try {
-        const { userId } = req.params;
-        const mailbox = await Database.read(`mailbox_${userId}`);
+        const viewerId = req.user ? req.user.id : null;
         
-        res.json({ success: true, items: mailbox });
+        const client = await pool.connect();
+        try {
+            const userQuery = await client.query(`
+                SELECT id, username FROM users
+                WHERE LOWER(username) = LOWER($1)
+                ORDER BY username = $1 DESC
+                LIMIT 1
+            `, [req.params.username]);
+            const owner = userQuery.rows[0];
+            if (!owner || (viewerId && (await getBlockersAmong(client, viewerId, [owner.id])).length > 0)) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            const isOwner = String(owner.id) === String(viewerId);
+            const base = await getBase(client, owner.id);
+            if (!isOwner && base.visibility !== 'everyone') {
+                const friendship = viewerId && await getFriendship(client, viewerId, owner.id);
+                if (base.visibility === 'nobody' || !friendship || friendship.status !== 'accepted') {
+                    return res.status(403).json({
+                        success: false,
+                        error: base.visibility === 'nobody' ? 'This base is private' : 'Only friends can visit this base'
+                    });
+                }
+            }
+            
+            if (viewerId && !isOwner) {
+                base.visit_count = await recordVisit(client, owner.id, viewerId);
+            }
+            
+            const placeable = await getPlaceableItems(client, owner.id, await getOwnedCharacters(client, owner.id));
+            const { width, height, layout, visitCount, updatedAt } = formatBase(base, placeable);
+            res.json({
+                success: true,
+                owner: { id: owner.id, username: owner.username },
+                base: { width, height, layout, visitCount, updatedAt }
+            });
+        } finally {
+            client.release();
+        }
 
     } catch (error) {
-        console.error('Mailbox fetch error:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch mailbox' });
+        console.error('Base visit error:', error);
+        res.status(500).json({ success: false, error: 'Failed to load base' });
     }
 });
 
-
-
-// Game Statistics Routes
-app.post('/api/games/play', async (req, res) => {
+// Activation Routes
+app.post('/api/activation/activate', authenticateToken, activationRateLimits, async (req, res) => {
     try {
-        const { userId, gameType, earnedCredits } = req.body;
+        const { email, activationCode } = req.body;
         
-        // Update user credits
-        const result = await Database.read('/api/credits/update', {
-            userId,
-            amount: earnedCredits,
-            operation: 'add'
-        });
+        const lockedFor = await activationLockout.retryAfter(req.user.id);
+        if (lockedFor > 0) {
+            return sendTooManyRequests(res, lockedFor, `Too many invalid activation codes, try again in ${describeWait(lockedFor)}`);
+        }
+        
+        const licenseKey = normalizeLicenseKey(activationCode);
+        if (!licenseKey) {
+            const lockMs = await activationLockout.recordFailure(req.user.id);
+            if (lockMs > 0) {
+                return sendTooManyRequests(res, lockMs, `Too many invalid activation codes, try again in ${describeWait(lockMs)}`);
+            }
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Invalid activation code' 
+            });
+        }
 
-        // Log game session
-        const gameSessions = await Database.read('game_sessions');
-        if (!gameSessions[userId]) {
-            gameSessions[userId] = [];
-        }
-        gameSessions[userId].push({
-            id: crypto.randomUUID(),
-            gameType,
-            earnedCredits,
-            playedAt: new Date().toISOString(),
-            duration: Math.floor(Math.random() * 1800) + 300 // 5-35 minutes
-        });
-        await Database.write('game_sessions', gameSessions);
+        const client = await pool.connect();
+        try {
+            const result = await client.query('SELECT email FROM users WHERE id = $1', [req.user.id]);
+            
+            if (result.rows.length === 0) {
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'User not found' 
+                });
+            }
 
-        res.json({ 
-            success: true, 
-            earnedCredits,
-            newBalance: result.newBalance 
-        });
+            // Older clients still send the email; it must belong to the token subject
+            if (email && email !== result.rows[0].email) {
+                return res.status(403).json({ 
+                    success: false, 
+                    error: 'Not allowed to act on behalf of another user' 
+                });
+            }
 
-    } catch (error) {
-        console.error('Game play error:', error);
-        res.status(500).json({ success: false, error: 'Failed to record game session' });
-    }
-});
+            await client.query('BEGIN');
 
-// Analytics Routes
-app.get('/api/admin/stats', async (req, res) => {
-    try {
-        const users = await Database.read('users');
-        const transactions = await Database.read('transactions');
-        const gameSessions = await Database.read('game_sessions');
+            // Lock the key so two accounts cannot take its last seat at once
+            const keyResult = await client.query(`
+                SELECT id, max_seats, expires_at, revoked_at,
+                       expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP AS expired
+                FROM license_keys WHERE key_hash = $1
+                FOR UPDATE
+            `, [hashLicenseKey(licenseKey)]);
 
-        const stats = {
-            totalUsers: Object.keys(users).length,
-            activeUsers: Object.values(users).filter(user => {
-                const lastLogin = new Date(user.lastLogin);
-                const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-                return lastLogin > weekAgo;
-            }).length,
-            activatedUsers: Object.values(users).filter(user => user.activated).length,
-            totalTransactions: Object.values(transactions).flat().length,
-            totalGameSessions: Object.values(gameSessions).flat().length,
-            totalCreditsInCirculation: Object.values(users).reduce((sum, user) => sum + user.gameCredits, 0)
-        };
+            const key = keyResult.rows[0];
+            if (!key) {
+                await client.query('ROLLBACK');
+                const lockMs = await activationLockout.recordFailure(req.user.id);
+                if (lockMs > 0) {
+                    return sendTooManyRequests(res, lockMs, `Too many invalid activation codes, try again in ${describeWait(lockMs)}`);
+                }
+                return res.status(400).json({ success: false, error: 'Invalid activation code' });
+            }
+            
+            const rejection = key.revoked_at ? 'This activation code has been revoked' :
+                key.expired ? 'This activation code has expired' : null;
+            if (rejection) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, error: rejection });
+            }
 
-        res.json({ success: true, stats });
+            const redemptions = await client.query(
+                'SELECT user_id FROM license_redemptions WHERE license_id = $1',
+                [key.id]
+            );
+            const alreadyRedeemed = redemptions.rows.some(row => String(row.user_id) === req.user.id);
 
-    } catch (error) {
-        console.error('Stats fetch error:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch stats' });
-    }
-});
+            if (!alreadyRedeemed && redemptions.rows.length >= key.max_seats) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ 
+                    success: false, 
+                    error: 'This activation code has no seats left' 
+                });
+            }
 
-// Data backup and restore
-app.get('/api/admin/backup', async (req, res) => {
-    try {
-        const files = await fs.readdir(DATA_DIR);
-        const backup = {};
-        
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filename = file.replace('.json', '');
-                backup[filename] = await Database.read(filename);
+            await activationLockout.reset(req.user.id);
+            
+            if (!alreadyRedeemed) {
+                await client.query(
+                    'INSERT INTO license_redemptions (license_id, user_id) VALUES ($1, $2)',
+                    [key.id, req.user.id]
+                );
             }
+
+            await client.query(
+                `UPDATE users SET activated = TRUE, activated_at = COALESCE(activated_at, CURRENT_TIMESTAMP)
+                 WHERE id = $1`,
+                [req.user.id]
+            );
+            const status = await getLicenseStatus(client, req.user.id);
+
+            await client.query('COMMIT');
+
+            res.json({ success: true, message: 'Activation successful', license: status.license });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
         }
 
-        res.json({ success: true, backup });
+    } catch (error) {
+        console.error('Activation error:', error);
+        res.status(500).json({ success: false, error: 'Activation failed' });
+    }
+});
 
+app.get('/api/activation/status', authenticateToken, async (req, res) => {
+    try {
+        const status = await getLicenseStatus(pool, req.user.id);
+        res.json({ success: true, ...status });
     } catch (error) {
-        console.error('Backup error:', error);
-        res.status(500).json({ success: false, error: 'Backup failed' });
+        console.error('Activation status error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get activation status' });
     }
 });
 
-app.post('/api/admin/restore', async (req, res) => {
+// Give up this account's seats so the keys can be redeemed elsewhere
+app.post('/api/activation/deactivate', authenticateToken, async (req, res) => {
     try {
-        const { backup } = req.body;
-        
-        for (const [filename, data] of Object.entries(backup)) {
-            await Database.write(filename, data);
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM license_redemptions WHERE user_id = $1', [req.user.id]);
+            await client.query(
+                'UPDATE users SET activated = FALSE, activated_at = NULL WHERE id = $1',
+                [req.user.id]
+            );
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
         }
 
-        res.json({ success: true, message: 'Data restored successfully' });
-
+        res.json({ success: true, message: 'Deactivated successfully' });
     } catch (error) {
-        console.error('Restore error:', error);
-        res.status(500).json({ success: false, error: 'Restore failed' });
+        console.error('Deactivation error:', error);
+        res.status(500).json({ success: false, error: 'Deactivation failed' });
     }
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        success: true, 
-        message: 'SkyParty backend server is running',
-        timestamp: new Date().toISOString()
-    });
-});
-
-// ===== API ENDPOINTS =====
-
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        message: 'SkyParty API Server is running',
-        timestamp: new Date().toISOString()
-    });
-});
+// Credits Management Routes
+// Packages the client may buy; the amount credited is always decided here
+const CREDIT_PACKAGES = {
+    500: '$4.99',
+    1000: '$8.99',
+    2000: '$15.99',
+    5000: '$29.99'
+};
+const PURCHASE_REFERENCE_MAX_LENGTH = 64;
 
-// Register user
-app.post('/api/register', async (req, res) => {
+// There is no payment provider yet, so an admin credits a package once its payment
+// has been confirmed. reference is the payment's order or receipt id: a reference
+// is credited at most once, so retrying a request cannot credit a payment twice.
+app.post('/api/credits/purchase', requireAdmin, async (req, res) => {
     try {
-        const { username, email, password } = req.body;
+        const { userId, amount, reference } = req.body;
         
-        if (!username || !email || !password) {
-            return res.status(400).json({ success: false, message: 'Missing required fields' });
-        }
+        if (!CREDIT_PACKAGES[amount]) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Unknown credits package' 
+            });
+        }
+        if (typeof reference !== 'string' || !reference.trim() || reference.length > PURCHASE_REFERENCE_MAX_LENGTH) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `A payment reference of up to ${PURCHASE_REFERENCE_MAX_LENGTH} characters is required` 
+            });
+        }
+        const referenceId = `order:${reference.trim()}`;
+
+        const client = await pool.connect();
+        try {
+            const user = await client.query('SELECT id FROM users WHERE id = $1', [userId]);
+            if (user.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            const credited = await client.query(
+                "SELECT id FROM ledger_transactions WHERE reason = 'purchase' AND reference_id = $1",
+                [referenceId]
+            );
+            if (credited.rows.length > 0) {
+                return res.status(409).json({ 
+                    success: false, 
+                    error: 'This payment has already been credited',
+                    transactionId: credited.rows[0].id 
+                });
+            }
+            
+            await client.query('BEGIN');
+            const transactionId = await transferCredits(client, {
+                from: SYSTEM_ACCOUNTS.SALES,
+                to: userId,
+                amount: Number(amount),
+                reason: 'purchase',
+                referenceId
+            });
+            await client.query('COMMIT');
+
+            console.log(`💳 Admin ${req.user.id} credited ${amount} GC to user ${userId} for ${referenceId}`);
+            res.json({ 
+                success: true, 
+                transactionId,
+                newBalance: await getBalance(client, userId) 
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            // The same reference was credited by a concurrent request
+            if (error.code === '23505') {
+                return res.status(409).json({ success: false, error: 'This payment has already been credited' });
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        console.error('Credits purchase error:', error);
+        res.status(500).json({ success: false, error: 'Credits purchase failed' });
+    }
+});
+
+// Credits history, newest first. Paginate with ?before=<entry id>&limit=
+app.get('/api/user/:userId/ledger', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const before = parseInt(req.query.before) || null;
+        
+        const client = await pool.connect();
+        try {
+            // Running balance is computed over the full history before paginating
+            const result = await client.query(`
+                SELECT * FROM (
+                    SELECT e.id, e.amount, t.id AS transaction_id, t.reason, t.reference_id, t.created_at,
+                           other.account AS counterparty,
+                           SUM(e.amount) OVER (ORDER BY e.id) AS balance_after
+                    FROM ledger_entries e
+                    JOIN ledger_transactions t ON t.id = e.transaction_id
+                    JOIN ledger_entries other ON other.transaction_id = e.transaction_id AND other.id <> e.id
+                    WHERE e.user_id = $1
+                ) history
+                WHERE $2::integer IS NULL OR id < $2
+                ORDER BY id DESC
+                LIMIT $3
+            `, [userId, before, limit]);
+            
+            const entries = result.rows.map(row => ({
+                id: row.id,
+                transactionId: row.transaction_id,
+                amount: row.amount,
+                reason: row.reason,
+                referenceId: row.reference_id,
+                counterparty: row.counterparty,
+                balanceAfter: parseInt(row.balance_after),
+                timestamp: row.created_at.toISOString()
+            }));
+            
+            res.json({ 
+                success: true, 
+                balance: await getBalance(client, userId),
+                entries,
+                nextBefore: entries.length === limit ? entries[entries.length - 1].id : null
+            });
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        console.error('Ledger fetch error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch credits history' });
+    }
+});
+
+// Character Management Routes
+app.post('/api/characters/purchase', requireUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { characterId } = req.body;
+        
+        const client = await pool.connect();
+        try {
+            // Price comes from the characters table, never from the client
+            const characterResult = await client.query(
+                'SELECT id, name, icon, description, price FROM characters WHERE id = $1',
+                [characterId]
+            );
+            
+            if (characterResult.rows.length === 0) {
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'Character not found' 
+                });
+            }
+            const character = characterResult.rows[0];
+
+            await client.query('BEGIN');
+
+            // Check if user has enough credits and deduct them
+            const transactionId = character.price > 0 ? await transferCredits(client, {
+                from: userId,
+                to: SYSTEM_ACCOUNTS.STORE,
+                amount: character.price,
+                reason: 'spend',
+                referenceId: `character:${character.id}`
+            }) : 0;
+            if (transactionId === null) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'Insufficient credits' 
+                });
+            }
+
+            // Add character
+            await addCharacter(client, userId, character.id, 'purchase');
+
+            // Add to inventory
+            await client.query(`
+                INSERT INTO character_inventory (user_id, character_id, item_name, item_type, icon, description, price, source)
+                VALUES ($1, $2, $3, 'character', $4, $5, $6, 'purchase')
+            `, [userId, character.id, character.name, character.icon, character.description, character.price]);
+
+            await client.query('COMMIT');
+
+            res.json({ 
+                success: true, 
+                newBalance: await getBalance(client, userId),
+                ownedCharacters: await getOwnedCharacters(client, userId) 
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        console.error('Character purchase error:', error);
+        res.status(500).json({ success: false, error: 'Purchase failed' });
+    }
+});
+
+app.post('/api/characters/select', requireUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { characterId } = req.body;
+        
+        const client = await pool.connect();
+        try {
+            // Check if user owns the character
+            const ownedCharacters = await getOwnedCharacters(client, userId);
+            if (!ownedCharacters.includes(characterId)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'Character not owned' 
+                });
+            }
+
+            await client.query(
+                'UPDATE users SET currentCharacter = $1 WHERE id = $2',
+                [characterId, userId]
+            );
+        } finally {
+            client.release();
+        }
+
+        res.json({ 
+            success: true, 
+            currentCharacter: characterId 
+        });
+
+    } catch (error) {
+        console.error('Character selection error:', error);
+        res.status(500).json({ success: false, error: 'Selection failed' });
+    }
+});
+
+// Inventory Management Routes
+app.get('/api/inventory/:userId', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        
+        const client = await pool.connect();
+        let result;
+        try {
+            result = await client.query(`
+                SELECT id, character_id, item_name, item_type, icon, description, price,
+                       acquired_date, source, quantity, metadata
+                FROM character_inventory
+                WHERE user_id = $1
+                ORDER BY acquired_date ASC
+            `, [userId]);
+        } finally {
+            client.release();
+        }
+        
+        const items = result.rows.map(row => ({
+            ...(row.metadata || {}),
+            id: row.id,
+            type: row.item_type,
+            characterId: row.character_id,
+            name: row.item_name,
+            icon: row.icon,
+            description: row.description,
+            price: row.price,
+            acquiredDate: row.acquired_date.toISOString(),
+            source: row.source,
+            quantity: row.quantity
+        }));
+        
+        res.json({ success: true, items });
+
+    } catch (error) {
+        console.error('Inventory fetch error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch inventory' });
+    }
+});
+
+app.post('/api/inventory/add', requireUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { item } = req.body;
+        
+        if (!item || !item.name) {
+            return res.status(400).json({ success: false, error: 'Item name is required' });
+        }
+        // Decorations can be placed in bases, so they only come from the paid catalogue
+        if (item.type === 'decoration') {
+            return res.status(400).json({ success: false, error: 'Decorations are bought from the base decoration store' });
+        }
+        
+        // Known columns are stored directly, anything else goes into metadata
+        const { type, characterId, name, icon, description, price, source, quantity, ...metadata } = item;
+        
+        const client = await pool.connect();
+        try {
+            await client.query(`
+                INSERT INTO character_inventory (user_id, character_id, item_name, item_type, icon, description, price, source, quantity, metadata)
+                VALUES ($1, (SELECT id FROM characters WHERE id = $2), $3, $4, $5, $6, $7, $8, $9, $10)
+            `, [
+                userId,
+                characterId || null,
+                name,
+                type || 'character',
+                icon,
+                description,
+                price || 0,
+                source || 'purchase',
+                quantity || 1,
+                JSON.stringify(metadata)
+            ]);
+        } finally {
+            client.release();
+        }
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Inventory add error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add item' });
+    }
+});
+
+// Messaging System Routes
+// Shown in place of participants whose accounts were deleted
+const DELETED_USER_NAME = 'Deleted user';
+const CONVERSATIONS_PAGE_SIZE = 50;
+const MESSAGES_PAGE_SIZE = 50;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Senders may edit a message for this long after sending it
+const MESSAGE_EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Deleted messages keep their place in the history as content-less tombstones
+function formatMessage(row, reactions = [], attachments = []) {
+    return {
+        id: row.id,
+        sender: row.sender_username,
+        senderId: row.sender_id,
+        content: row.deleted_at ? '' : row.content,
+        timestamp: row.created_at.toISOString(),
+        read: row.read_status,
+        editedAt: row.edited_at ? row.edited_at.toISOString() : null,
+        deleted: Boolean(row.deleted_at),
+        reactions,
+        attachments
+    };
+}
+
+// List a user's conversations, most recent first: metadata, members, last message and unread count.
+// Page with ?before=<conversation id> using nextBefore from the previous page.
+app.get('/api/messages/conversations/:userId', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || CONVERSATIONS_PAGE_SIZE, 100);
+        const before = req.query.before || null;
+        
+        const client = await pool.connect();
+        try {
+            if (before && !(await getMembership(client, before, userId))) {
+                return res.status(400).json({ success: false, error: 'Invalid conversation cursor' });
+            }
+            
+            const result = await client.query(`
+                SELECT c.id, c.is_group, c.name, c.updated_at, me.role,
+                       members.list AS members,
+                       last.id AS last_id, last.content AS last_content, last.created_at AS last_created_at,
+                       last.read_status AS last_read_status, last.sender_id AS last_sender_id,
+                       last.edited_at AS last_edited_at, last.deleted_at AS last_deleted_at,
+                       COALESCE(sender.username, $2) AS last_sender_username,
+                       own_read.last_read_message_id, other_read.last_read_message_id AS other_last_read_message_id
+                FROM conversation_members me
+                JOIN conversations c ON c.id = me.conversation_id
+                LEFT JOIN LATERAL (
+                    SELECT json_agg(json_build_object('id', u.id, 'username', u.username, 'role', cm.role)
+                                    ORDER BY cm.joined_at, cm.id) AS list
+                    FROM conversation_members cm
+                    JOIN users u ON u.id = cm.user_id
+                    WHERE cm.conversation_id = c.id
+                ) members ON TRUE
+                LEFT JOIN LATERAL (
+                    SELECT id, content, created_at, read_status, sender_id, edited_at, deleted_at FROM messages
+                    WHERE conversation_id = c.id
+                    ORDER BY created_at DESC, id DESC
+                    LIMIT 1
+                ) last ON TRUE
+                LEFT JOIN users sender ON sender.id = last.sender_id
+                LEFT JOIN conversation_reads own_read ON own_read.conversation_id = c.id AND own_read.user_id = $1
+                LEFT JOIN conversation_reads other_read
+                       ON other_read.conversation_id = c.id AND other_read.user_id <> $1 AND NOT c.is_group
+                WHERE me.user_id = $1
+                  AND ($3::varchar IS NULL OR (c.updated_at, c.id) < (SELECT updated_at, id FROM conversations WHERE id = $3))
+                ORDER BY c.updated_at DESC, c.id DESC
+                LIMIT $4
+            `, [userId, DELETED_USER_NAME, before, limit]);
+            
+            const unreadCounts = await getUnreadCounts(client, userId);
+            
+            const conversations = result.rows.map(conv => {
+                const members = conv.members || [];
+                const others = members.filter(member => String(member.id) !== String(userId));
+                // A direct conversation whose other member deleted their account keeps its history
+                const other = conv.is_group ? null : others[0] || { id: null, username: DELETED_USER_NAME };
+                
+                return {
+                    id: conv.id,
+                    isGroup: conv.is_group,
+                    name: conv.name,
+                    role: conv.role,
+                    members,
+                    participants: members.map(member => member.username),
+                    otherParticipant: conv.is_group ? conv.name : other.username,
+                    otherParticipantId: conv.is_group ? null : other.id,
+                    lastMessage: conv.last_id ? formatMessage({
+                        id: conv.last_id,
+                        sender_username: conv.last_sender_username,
+                        sender_id: conv.last_sender_id,
+                        content: conv.last_content,
+                        created_at: conv.last_created_at,
+                        read_status: conv.last_read_status,
+                        edited_at: conv.last_edited_at,
+                        deleted_at: conv.last_deleted_at
+                    }) : null,
+                    unreadCount: unreadCounts.get(conv.id) || 0,
+                    lastReadMessageId: conv.last_read_message_id,
+                    otherLastReadMessageId: conv.other_last_read_message_id,
+                    lastActivity: conv.updated_at.toISOString()
+                };
+            });
+            
+            res.json({
+                success: true,
+                conversations,
+                nextBefore: conversations.length === limit ? conversations[conversations.length - 1].id : null
+            });
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        console.error('Conversations fetch error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch conversations' });
+    }
+});
+
+// Message history of one conversation in chronological order.
+// Without a cursor returns the latest page; ?before=<message id> pages back through older
+// messages and ?after=<message id> fetches anything newer.
+app.get('/api/messages/conversations/:conversationId/messages', authenticateToken, async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const { before, after } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || MESSAGES_PAGE_SIZE, 100);
+        
+        if (before && after) {
+            return res.status(400).json({ success: false, error: 'Use either before or after, not both' });
+        }
+        
+        if (!(await getMembership(pool, conversationId, req.user.id))) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
+        }
+        
+        const cursorId = before || after || null;
+        if (cursorId) {
+            const cursorResult = UUID_PATTERN.test(cursorId) ? await pool.query(
+                'SELECT id FROM messages WHERE id = $1 AND conversation_id = $2',
+                [cursorId, conversationId]
+            ) : { rows: [] };
+            if (cursorResult.rows.length === 0) {
+                return res.status(400).json({ success: false, error: 'Invalid message cursor' });
+            }
+        }
+        
+        // Older pages are read newest-first so LIMIT keeps the messages closest to the cursor.
+        // The cursor is compared in SQL because JS dates drop the microseconds of created_at.
+        const newer = Boolean(after);
+        const result = await pool.query(`
+            SELECT m.id, m.content, m.created_at, m.read_status, m.edited_at, m.deleted_at,
+                   COALESCE(u.username, $2) AS sender_username, m.sender_id
+            FROM messages m
+            LEFT JOIN users u ON m.sender_id = u.id
+            WHERE m.conversation_id = $1
+              AND ($3::uuid IS NULL OR (m.created_at, m.id) ${newer ? '>' : '<'} (SELECT created_at, id FROM messages WHERE id = $3))
+            ORDER BY m.created_at ${newer ? 'ASC' : 'DESC'}, m.id ${newer ? 'ASC' : 'DESC'}
+            LIMIT $4
+        `, [conversationId, DELETED_USER_NAME, cursorId, limit]);
+        
+        const messageIds = result.rows.map(row => row.id);
+        const reactions = await getReactionSummaries(pool, messageIds);
+        const attachments = await getMessageAttachments(pool, messageIds);
+        const messages = result.rows.map(row => formatMessage(row, reactions.get(row.id), attachments.get(row.id)));
+        if (!newer) messages.reverse();
+        
+        const hasMore = messages.length === limit;
+        res.json({
+            success: true,
+            messages,
+            nextBefore: !newer && hasMore ? messages[0].id : null,
+            nextAfter: newer && hasMore ? messages[messages.length - 1].id : null
+        });
+
+    } catch (error) {
+        console.error('Messages fetch error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch messages' });
+    }
+});
+
+// Send a message to an existing conversation (conversationId) or directly to a user (recipientId).
+// Direct conversations are created on first contact. attachmentIds are the sender's unsent uploads.
+app.post('/api/messages/send', requireUser, async (req, res) => {
+    try {
+        const { senderId, recipientId, conversationId } = req.body;
+        const content = typeof req.body.content === 'string' ? req.body.content : '';
+        const attachmentIds = req.body.attachmentIds || [];
+        if (!Array.isArray(attachmentIds) || attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE ||
+            attachmentIds.some(id => !UUID_PATTERN.test(id))) {
+            return res.status(400).json({ success: false, error: `Attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} uploaded files` });
+        }
+        if (!content.trim() && attachmentIds.length === 0) {
+            return res.status(400).json({ success: false, error: 'Message content is required' });
+        }
+        
+        const filtered = checkText('message', content);
+        if (filtered.action === 'reject') {
+            return res.status(400).json({ success: false, error: FILTER_REJECTIONS.message });
+        }
+        
+        const client = await pool.connect();
+        let sentMessage;
+        let conversation;
+        let memberIds;
+        let notified;
+        try {
+            const senderQuery = await client.query('SELECT username FROM users WHERE id = $1', [senderId]);
+            if (senderQuery.rows.length === 0) {
+                return res.status(400).json({ success: false, error: 'Invalid sender or recipient' });
+            }
+            const senderUsername = senderQuery.rows[0].username;
+            
+            const sanction = await getActiveSanction(client, senderId, MESSAGING_SANCTIONS);
+            if (sanction) {
+                return sendSanctioned(res, sanction);
+            }
+            
+            await client.query('BEGIN');
+            
+            if (conversationId) {
+                conversation = await getMembership(client, conversationId, senderId);
+                if (!conversation) {
+                    const exists = await client.query('SELECT 1 FROM conversations WHERE id = $1', [conversationId]);
+                    if (exists.rows.length > 0) {
+                        await client.query('ROLLBACK');
+                        return res.status(403).json({ success: false, error: 'Not a participant in this conversation' });
+                    }
+                    // Unknown ids (e.g. drafts named by older clients) fall back to the direct conversation
+                }
+            }
+            
+            let recipient = null;
+            if (!conversation) {
+                const recipientQuery = recipientId ? await client.query('SELECT id, username FROM users WHERE id = $1', [recipientId]) : { rows: [] };
+                if (recipientQuery.rows.length === 0 || String(recipientId) === String(senderId)) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ success: false, error: 'Invalid sender or recipient' });
+                }
+                recipient = recipientQuery.rows[0];
+                const directId = await findOrCreateDirectConversation(client, senderId, recipient.id);
+                conversation = await getMembership(client, directId, senderId);
+            } else if (!conversation.is_group) {
+                const recipientQuery = await client.query(`
+                    SELECT u.id, u.username FROM conversation_members m
+                    JOIN users u ON u.id = m.user_id
+                    WHERE m.conversation_id = $1 AND m.user_id <> $2
+                `, [conversation.id, senderId]);
+                if (recipientQuery.rows.length === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ success: false, error: 'This conversation has no other participants' });
+                }
+                recipient = recipientQuery.rows[0];
+            }
+            
+            if (recipient) {
+                const blockStatus = await getBlockStatus(client, senderId, recipient.id);
+                if (blockStatus.blocked || blockStatus.blockedBy) {
+                    await client.query('ROLLBACK');
+                    return res.status(403).json({
+                        success: false,
+                        error: blockStatus.blocked ? 'Unblock this user to message them' : 'You cannot message this user'
+                    });
+                }
+                if ((await getFriendsOnlyAmong(client, senderId, [recipient.id], 'messages')).length > 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(403).json({ success: false, error: 'This player only accepts messages from friends' });
+                }
+            }
+            
+            // Group messages have no single recipient
+            const messageResult = await client.query(`
+                INSERT INTO messages (conversation_id, sender_id, recipient_id, content)
+                VALUES ($1, $2, $3, $4)
+                RETURNING id, created_at
+            `, [conversation.id, senderId, recipient ? recipient.id : null, filtered.text]);
+            const message = messageResult.rows[0];
+            
+            const attached = await client.query(`
+                UPDATE attachments SET message_id = $1
+                WHERE id = ANY($2::uuid[]) AND uploader_id = $3 AND message_id IS NULL
+                RETURNING id, filename, mime_type, size_bytes, thumbnail_key, width, height
+            `, [message.id, [...new Set(attachmentIds)], senderId]);
+            if (attached.rows.length !== new Set(attachmentIds).size) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, error: 'Attachment not found or already sent' });
+            }
+            
+            if (filtered.action === 'flag') {
+                await flagFilteredText(client, {
+                    targetId: senderId,
+                    field: 'message',
+                    filtered,
+                    evidence: [{ id: message.id, conversation_id: conversation.id, content: filtered.text, created_at: message.created_at }]
+                });
+            }
+            
+            // Update conversation timestamp
+            await client.query(`
+                UPDATE conversations 
+                SET updated_at = CURRENT_TIMESTAMP 
+                WHERE id = $1
+            `, [conversation.id]);
+            
+            memberIds = await getMemberIds(client, conversation.id);
+            notified = await notifyMessage(
+                client,
+                memberIds.filter(id => String(id) !== String(senderId)),
+                senderId,
+                conversation.id,
+                conversation.is_group ? conversation.name : null
+            );
+            await client.query('COMMIT');
+            
+            sentMessage = {
+                id: message.id,
+                sender: senderUsername,
+                senderId: senderId,
+                recipient: recipient ? recipient.username : null,
+                recipientId: recipient ? recipient.id : null,
+                content: filtered.text,
+                timestamp: message.created_at.toISOString(),
+                read: false,
+                editedAt: null,
+                deleted: false,
+                reactions: [],
+                attachments: attached.rows.map(formatAttachment)
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        // Every member gets it, including the sender's other windows
+        publish(memberIds, 'message', { conversationId: conversation.id, message: sentMessage });
+        await Promise.all(notified.map(({ userId, notification }) => publishNotification(userId, notification)));
+        
+        res.json({ 
+            success: true, 
+            conversationId: conversation.id,
+            message: sentMessage
+        });
+
+    } catch (error) {
+        console.error('Message send error:', error);
+        res.status(500).json({ success: false, error: 'Failed to send message' });
+    }
+});
+
+// Real-time event stream: message, typing and read events for the signed-in user
+app.get('/api/events', authenticateStreamToken, (req, res) => {
+    openEventStream(req, res, req.user.id);
+});
+
+// Tell the other members that this user is typing
+app.post('/api/messages/typing', authenticateToken, async (req, res) => {
+    try {
+        const { conversationId } = req.body;
+        if (!conversationId) {
+            return res.status(400).json({ success: false, error: 'Conversation ID is required' });
+        }
+        
+        if (!(await getMembership(pool, conversationId, req.user.id))) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
+        }
+        
+        const memberIds = await getMemberIds(pool, conversationId);
+        publish(memberIds.filter(id => String(id) !== req.user.id), 'typing', {
+            conversationId,
+            userId: req.user.id,
+            username: req.user.username
+        });
+        
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Typing notification error:', error);
+        res.status(500).json({ success: false, error: 'Failed to send typing notification' });
+    }
+});
+
+// Mark messages from other members as read, up to and including upToMessageId (default: the latest).
+// The participant's read cursor only ever moves forward.
+app.post('/api/messages/read', authenticateToken, async (req, res) => {
+    try {
+        const { conversationId, upToMessageId } = req.body;
+        if (!conversationId) {
+            return res.status(400).json({ success: false, error: 'Conversation ID is required' });
+        }
+        
+        const client = await pool.connect();
+        try {
+            if (!(await getMembership(client, conversationId, req.user.id))) {
+                return res.status(404).json({ success: false, error: 'Conversation not found' });
+            }
+            
+            const target = upToMessageId
+                ? (UUID_PATTERN.test(upToMessageId) ? await client.query(
+                    'SELECT id FROM messages WHERE id = $1 AND conversation_id = $2',
+                    [upToMessageId, conversationId]
+                ) : { rows: [] })
+                : await client.query(
+                    'SELECT id FROM messages WHERE conversation_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+                    [conversationId]
+                );
+            
+            if (target.rows.length === 0) {
+                if (upToMessageId) {
+                    return res.status(400).json({ success: false, error: 'Message not found in this conversation' });
+                }
+                return res.json({ success: true, messageIds: [], lastReadMessageId: null, unreadCount: 0 });
+            }
+            const targetMessageId = target.rows[0].id;
+            
+            await client.query('BEGIN');
+            
+            const result = await client.query(`
+                UPDATE messages SET read_status = TRUE
+                WHERE conversation_id = $1 AND sender_id IS DISTINCT FROM $2 AND read_status = FALSE
+                  AND (created_at, id) <= (SELECT created_at, id FROM messages WHERE id = $3)
+                RETURNING id
+            `, [conversationId, req.user.id, targetMessageId]);
+            
+            await client.query(`
+                INSERT INTO conversation_reads (conversation_id, user_id, last_read_message_id)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (conversation_id, user_id) DO UPDATE
+                SET last_read_message_id = EXCLUDED.last_read_message_id, last_read_at = CURRENT_TIMESTAMP
+                WHERE conversation_reads.last_read_message_id IS NULL OR EXISTS (
+                    SELECT 1 FROM messages previous, messages latest
+                    WHERE previous.id = conversation_reads.last_read_message_id AND latest.id = EXCLUDED.last_read_message_id
+                      AND (previous.created_at, previous.id) < (latest.created_at, latest.id)
+                )
+            `, [conversationId, req.user.id, targetMessageId]);
+            
+            // Reading an older message leaves the cursor where it was
+            const cursor = await client.query(
+                'SELECT last_read_message_id FROM conversation_reads WHERE conversation_id = $1 AND user_id = $2',
+                [conversationId, req.user.id]
+            );
+            const lastReadMessageId = cursor.rows[0].last_read_message_id;
+            
+            const unreadCounts = await getUnreadCounts(client, req.user.id, { conversationId });
+            const memberIds = await getMemberIds(client, conversationId);
+            // The conversation's notification is read once nothing in it is left unread
+            const notificationsRead = unreadCounts.get(conversationId)
+                ? 0
+                : await markNotificationsReadFor(client, req.user.id, 'message', 'conversationId', conversationId);
+            
+            await client.query('COMMIT');
+            
+            if (notificationsRead > 0) {
+                await publishNotification(req.user.id);
+            }
+            
+            const messageIds = result.rows.map(row => row.id);
+            if (messageIds.length > 0) {
+                // The sender gets "seen" receipts; the reader's other windows clear their unread badges
+                publish(memberIds, 'read', {
+                    conversationId,
+                    readerId: req.user.id,
+                    messageIds,
+                    lastReadMessageId,
+                    readAt: new Date().toISOString()
+                });
+            }
+            
+            res.json({ success: true, messageIds, lastReadMessageId, unreadCount: unreadCounts.get(conversationId) || 0 });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        console.error('Mark read error:', error);
+        res.status(500).json({ success: false, error: 'Failed to mark messages as read' });
+    }
+});
+
+// Unread message totals across all of a user's conversations
+app.get('/api/messages/unread/:userId', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        
+        // Drives the notification dot, so messages from muted users are left out
+        const unreadCounts = await getUnreadCounts(pool, userId, { excludeMuted: true });
+        const conversations = [...unreadCounts].map(([conversationId, unreadCount]) => ({ conversationId, unreadCount }));
+        
+        res.json({
+            success: true,
+            totalUnread: conversations.reduce((total, conv) => total + conv.unreadCount, 0),
+            conversations
+        });
+
+    } catch (error) {
+        console.error('Unread count error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch unread counts' });
+    }
+});
+
+// Full-text search over the caller's message history, newest matches first.
+// ?q= uses web search syntax ("quoted phrases", or, -excluded); ?conversationId= narrows it to one
+// conversation and ?before=<message id> pages back using nextBefore from the previous page.
+const MESSAGE_SEARCH_CONFIG = 'english';
+const MESSAGE_SEARCH_QUERY_MAX_LENGTH = 200;
+// Control characters mark the matched words in ts_headline output; they cannot appear in typed text
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_STOP = '\u0002';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=24, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// Split a headline into [{ text, highlight }] so clients can render matches without parsing markup
+function parseHeadline(headline) {
+    const parts = [];
+    let highlight = false;
+    for (const piece of headline.split(/([\u0001\u0002])/)) {
+        if (piece === HIGHLIGHT_START) highlight = true;
+        else if (piece === HIGHLIGHT_STOP) highlight = false;
+        else if (piece) parts.push({ text: piece, highlight });
+    }
+    return parts;
+}
+
+app.get('/api/messages/search', searchRateLimit, authenticateToken, async (req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q.replace(/[\u0000-\u0002]/g, '').trim() : '';
+        const conversationId = req.query.conversationId || null;
+        const before = req.query.before || null;
+        const limit = Math.min(parseInt(req.query.limit) || MESSAGES_PAGE_SIZE, 100);
+        
+        if (!query || query.length > MESSAGE_SEARCH_QUERY_MAX_LENGTH) {
+            return res.status(400).json({ success: false, error: `Search text must be 1-${MESSAGE_SEARCH_QUERY_MAX_LENGTH} characters` });
+        }
+        if (conversationId && !(await getMembership(pool, conversationId, req.user.id))) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
+        }
+        if (before) {
+            const cursorResult = UUID_PATTERN.test(before) ? await pool.query(`
+                SELECT m.id FROM messages m
+                JOIN conversation_members me ON me.conversation_id = m.conversation_id AND me.user_id = $2
+                WHERE m.id = $1
+            `, [before, req.user.id]) : { rows: [] };
+            if (cursorResult.rows.length === 0) {
+                return res.status(400).json({ success: false, error: 'Invalid message cursor' });
+            }
+        }
+        
+        const result = await pool.query(`
+            WITH search AS (SELECT websearch_to_tsquery($7::regconfig, $2) AS query)
+            SELECT m.id, m.conversation_id, m.created_at, m.sender_id,
+                   COALESCE(u.username, $3) AS sender_username,
+                   c.is_group, c.name, COALESCE(other.username, $3) AS other_username,
+                   ts_headline($7::regconfig, m.content, search.query, $8) AS headline
+            FROM search, conversation_members me
+            JOIN messages m ON m.conversation_id = me.conversation_id
+            JOIN conversations c ON c.id = m.conversation_id
+            LEFT JOIN users u ON u.id = m.sender_id
+            LEFT JOIN LATERAL (
+                SELECT ou.username FROM conversation_members om
+                JOIN users ou ON ou.id = om.user_id
+                WHERE om.conversation_id = c.id AND om.user_id <> $1
+                LIMIT 1
+            ) other ON NOT c.is_group
+            WHERE me.user_id = $1
+              AND m.deleted_at IS NULL
+              AND m.content_tsv @@ search.query
+              AND ($4::varchar IS NULL OR m.conversation_id = $4)
+              AND ($5::uuid IS NULL OR (m.created_at, m.id) < (SELECT created_at, id FROM messages WHERE id = $5))
+            ORDER BY m.created_at DESC, m.id DESC
+            LIMIT $6
+        `, [req.user.id, query, DELETED_USER_NAME, conversationId, before, limit, MESSAGE_SEARCH_CONFIG, HEADLINE_OPTIONS]);
+        
+        const results = result.rows.map(row => ({
+            conversationId: row.conversation_id,
+            conversationName: row.is_group ? row.name : row.other_username,
+            isGroup: row.is_group,
+            messageId: row.id,
+            sender: row.sender_username,
+            senderId: row.sender_id,
+            timestamp: row.created_at.toISOString(),
+            snippet: parseHeadline(row.headline)
+        }));
+        
+        res.json({
+            success: true,
+            results,
+            nextBefore: results.length === limit ? results[results.length - 1].messageId : null
+        });
+
+    } catch (error) {
+        console.error('Message search error:', error);
+        res.status(500).json({ success: false, error: 'Failed to search messages' });
+    }
+});
+
+// Group Chat Routes
+// Validate member ids for a group: distinct existing users other than the requester
+async function resolveGroupMemberIds(client, memberIds, requesterId) {
+    if (!Array.isArray(memberIds)) return null;
+    const ids = [...new Set(memberIds.map(id => parseInt(id)))].filter(id => String(id) !== String(requesterId));
+    if (ids.some(id => !Number.isInteger(id))) return null;
+    
+    const found = await client.query('SELECT id FROM users WHERE id = ANY($1::integer[])', [ids]);
+    return found.rows.length === ids.length ? ids : null;
+}
+
+// Create a group chat owned by the requester
+app.post('/api/messages/groups', authenticateToken, async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name || name.length > GROUP_NAME_MAX_LENGTH) {
+            return res.status(400).json({ success: false, error: `Group name must be 1-${GROUP_NAME_MAX_LENGTH} characters` });
+        }
+        
+        const client = await pool.connect();
+        let conversationId;
+        let memberIds;
+        try {
+            memberIds = await resolveGroupMemberIds(client, req.body.memberIds, req.user.id);
+            if (!memberIds || memberIds.length === 0) {
+                return res.status(400).json({ success: false, error: 'Choose at least one existing user to add' });
+            }
+            if ((await getBlockersAmong(client, req.user.id, memberIds)).length > 0 ||
+                (await getFriendsOnlyAmong(client, req.user.id, memberIds, 'messages')).length > 0) {
+                return res.status(403).json({ success: false, error: 'Some of these users cannot be added' });
+            }
+            if (memberIds.length + 1 > MAX_GROUP_MEMBERS) {
+                return res.status(400).json({ success: false, error: `Groups can have at most ${MAX_GROUP_MEMBERS} members` });
+            }
+            
+            await client.query('BEGIN');
+            conversationId = await createGroupConversation(client, req.user.id, name, memberIds);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        console.log(`👥 ${req.user.username} created group "${name}" with ${memberIds.length} members`);
+        publish([req.user.id, ...memberIds], 'conversation', { conversationId, action: 'added' });
+        res.json({ success: true, conversationId, name });
+
+    } catch (error) {
+        console.error('Group create error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create group' });
+    }
+});
+
+// Add members to a group (owner only)
+app.post('/api/messages/groups/:conversationId/members', authenticateToken, async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        
+        const client = await pool.connect();
+        let added;
+        let memberIds;
+        try {
+            const membership = await getMembership(client, conversationId, req.user.id);
+            if (!membership || !membership.is_group) {
+                return res.status(404).json({ success: false, error: 'Group not found' });
+            }
+            if (membership.role !== 'owner') {
+                return res.status(403).json({ success: false, error: 'Only the group owner can add members' });
+            }
+            
+            const newMemberIds = await resolveGroupMemberIds(client, req.body.memberIds, req.user.id);
+            if (!newMemberIds || newMemberIds.length === 0) {
+                return res.status(400).json({ success: false, error: 'Choose at least one existing user to add' });
+            }
+            if ((await getBlockersAmong(client, req.user.id, newMemberIds)).length > 0 ||
+                (await getFriendsOnlyAmong(client, req.user.id, newMemberIds, 'messages')).length > 0) {
+                return res.status(403).json({ success: false, error: 'Some of these users cannot be added' });
+            }
+            
+            await client.query('BEGIN');
+            // Lock the group so concurrent adds cannot push it past the size limit
+            await client.query('SELECT id FROM conversations WHERE id = $1 FOR UPDATE', [conversationId]);
+            const currentIds = await getMemberIds(client, conversationId);
+            const combined = new Set([...currentIds.map(String), ...newMemberIds.map(String)]);
+            if (combined.size > MAX_GROUP_MEMBERS) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, error: `Groups can have at most ${MAX_GROUP_MEMBERS} members` });
+            }
+            
+            added = await addMembers(client, conversationId, newMemberIds);
+            memberIds = await getMemberIds(client, conversationId);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        publish(memberIds, 'conversation', { conversationId, action: 'members' });
+        res.json({ success: true, added });
+
+    } catch (error) {
+        console.error('Group add members error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add members' });
+    }
+});
+
+// Remove a member from a group (owner only; owners leave instead of removing themselves)
+app.delete('/api/messages/groups/:conversationId/members/:memberId', authenticateToken, async (req, res) => {
+    try {
+        const { conversationId, memberId } = req.params;
+        if (memberId === req.user.id) {
+            return res.status(400).json({ success: false, error: 'Use leave to remove yourself from a group' });
+        }
+        
+        const client = await pool.connect();
+        let memberIds;
+        try {
+            const membership = await getMembership(client, conversationId, req.user.id);
+            if (!membership || !membership.is_group) {
+                return res.status(404).json({ success: false, error: 'Group not found' });
+            }
+            if (membership.role !== 'owner') {
+                return res.status(403).json({ success: false, error: 'Only the group owner can remove members' });
+            }
+            
+            await client.query('BEGIN');
+            const { removed } = await removeMember(client, conversationId, parseInt(memberId) || 0);
+            if (!removed) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ success: false, error: 'Not a member of this group' });
+            }
+            memberIds = await getMemberIds(client, conversationId);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        publish(memberIds, 'conversation', { conversationId, action: 'members' });
+        publish([memberId], 'conversation', { conversationId, action: 'removed' });
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Group remove member error:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove member' });
+    }
+});
+
+// Leave a group; ownership passes to the longest-standing member
+app.post('/api/messages/groups/:conversationId/leave', authenticateToken, async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        
+        const client = await pool.connect();
+        let memberIds = [];
+        try {
+            const membership = await getMembership(client, conversationId, req.user.id);
+            if (!membership || !membership.is_group) {
+                return res.status(404).json({ success: false, error: 'Group not found' });
+            }
+            
+            await client.query('BEGIN');
+            const { deleted } = await removeMember(client, conversationId, req.user.id);
+            if (!deleted) {
+                memberIds = await getMemberIds(client, conversationId);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        publish(memberIds, 'conversation', { conversationId, action: 'members' });
+        publish([req.user.id], 'conversation', { conversationId, action: 'removed' });
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Group leave error:', error);
+        res.status(500).json({ success: false, error: 'Failed to leave group' });
+    }
+});
+
+// Edit, Delete and Reaction Routes
+// A message with its sender, if the requester is a member of its conversation
+async function getMessageForMember(client, messageId, userId) {
+    if (!UUID_PATTERN.test(messageId)) return null;
+    const result = await client.query(`
+        SELECT m.id, m.conversation_id, m.content, m.created_at, m.read_status, m.edited_at, m.deleted_at,
+               COALESCE(u.username, $3) AS sender_username, m.sender_id
+        FROM messages m
+        JOIN conversation_members me ON me.conversation_id = m.conversation_id AND me.user_id = $2
+        LEFT JOIN users u ON u.id = m.sender_id
+        WHERE m.id = $1
+    `, [messageId, userId, DELETED_USER_NAME]);
+    return result.rows[0] || null;
+}
+
+// Edit the requester's own message within the edit window; the previous text goes into the history
+app.patch('/api/messages/:messageId', authenticateToken, async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        if (typeof req.body.content !== 'string' || !req.body.content.trim()) {
+            return res.status(400).json({ success: false, error: 'Message content is required' });
+        }
+        
+        const filtered = checkText('message', req.body.content);
+        if (filtered.action === 'reject') {
+            return res.status(400).json({ success: false, error: FILTER_REJECTIONS.message });
+        }
+        const content = filtered.text;
+        
+        const client = await pool.connect();
+        let conversationId;
+        let updated;
+        let memberIds;
+        try {
+            await client.query('BEGIN');
+            const message = await getMessageForMember(client, messageId, req.user.id);
+            if (!message) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ success: false, error: 'Message not found' });
+            }
+            if (String(message.sender_id) !== req.user.id) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ success: false, error: 'You can only edit your own messages' });
+            }
+            if (message.deleted_at) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, error: 'Deleted messages cannot be edited' });
+            }
+            if (Date.now() - message.created_at.getTime() > MESSAGE_EDIT_WINDOW_MS) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, error: 'This message can no longer be edited' });
+            }
+            
+            if (content !== message.content) {
+                await client.query(
+                    'INSERT INTO message_edits (message_id, previous_content) VALUES ($1, $2)',
+                    [messageId, message.content]
+                );
+                const result = await client.query(
+                    'UPDATE messages SET content = $2, edited_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING content, edited_at',
+                    [messageId, content]
+                );
+                Object.assign(message, result.rows[0]);
+                
+                if (filtered.action === 'flag') {
+                    await flagFilteredText(client, { targetId: message.sender_id, field: 'message', filtered, evidence: [message] });
+                }
+            }
+            
+            const reactions = await getReactionSummaries(client, [messageId]);
+            const attachments = await getMessageAttachments(client, [messageId]);
+            updated = formatMessage(message, reactions.get(messageId), attachments.get(messageId));
+            conversationId = message.conversation_id;
+            memberIds = await getMemberIds(client, conversationId);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        publish(memberIds, 'edit', { conversationId, message: updated });
+        res.json({ success: true, conversationId, message: updated });
+
+    } catch (error) {
+        console.error('Message edit error:', error);
+        res.status(500).json({ success: false, error: 'Failed to edit message' });
+    }
+});
+
+// Earlier versions of a message, oldest first
+app.get('/api/messages/:messageId/edits', authenticateToken, async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        
+        const message = await getMessageForMember(pool, messageId, req.user.id);
+        if (!message) {
+            return res.status(404).json({ success: false, error: 'Message not found' });
+        }
+        
+        // The history goes with the text when a message is deleted
+        const result = await pool.query(
+            'SELECT previous_content, edited_at FROM message_edits WHERE message_id = $1 ORDER BY edited_at, id',
+            [messageId]
+        );
+        
+        res.json({
+            success: true,
+            edits: result.rows.map(row => ({ content: row.previous_content, editedAt: row.edited_at.toISOString() }))
+        });
+
+    } catch (error) {
+        console.error('Message edit history error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch edit history' });
+    }
+});
+
+// Delete the requester's own message, leaving a tombstone in the conversation
+app.delete('/api/messages/:messageId', authenticateToken, async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        
+        const client = await pool.connect();
+        let conversationId;
+        let tombstone;
+        let memberIds;
+        let removedFiles = [];
+        try {
+            await client.query('BEGIN');
+            const message = await getMessageForMember(client, messageId, req.user.id);
+            if (!message) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ success: false, error: 'Message not found' });
+            }
+            if (String(message.sender_id) !== req.user.id) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ success: false, error: 'You can only delete your own messages' });
+            }
+            
+            // Drop the text, its earlier versions, reactions and files; keep the row so the thread stays intact
+            const result = await client.query(
+                "UPDATE messages SET content = '', deleted_at = COALESCE(deleted_at, CURRENT_TIMESTAMP) WHERE id = $1 RETURNING content, deleted_at",
+                [messageId]
+            );
+            Object.assign(message, result.rows[0]);
+            await client.query('DELETE FROM message_edits WHERE message_id = $1', [messageId]);
+            await client.query('DELETE FROM message_reactions WHERE message_id = $1', [messageId]);
+            const removedAttachments = await client.query(
+                'DELETE FROM attachments WHERE message_id = $1 RETURNING storage_key, thumbnail_key',
+                [messageId]
+            );
+            removedFiles = removedAttachments.rows;
+            
+            tombstone = formatMessage(message);
+            conversationId = message.conversation_id;
+            memberIds = await getMemberIds(client, conversationId);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        await deleteStoredFiles(removedFiles);
+        publish(memberIds, 'delete', { conversationId, message: tombstone });
+        res.json({ success: true, conversationId, message: tombstone });
+
+    } catch (error) {
+        console.error('Message delete error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete message' });
+    }
+});
+
+// Add (POST) or remove (DELETE) the requester's emoji reaction on a message
+async function updateReaction(req, res, add) {
+    const { messageId } = req.params;
+    const emoji = add ? req.body.emoji : req.params.emoji;
+    if (!REACTION_EMOJIS.includes(emoji)) {
+        return res.status(400).json({ success: false, error: 'Unsupported reaction', allowed: REACTION_EMOJIS });
+    }
+    
+    const message = await getMessageForMember(pool, messageId, req.user.id);
+    if (!message) {
+        return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+    if (message.deleted_at) {
+        return res.status(400).json({ success: false, error: 'Deleted messages cannot be reacted to' });
+    }
+    
+    if (add) {
+        await pool.query(`
+            INSERT INTO message_reactions (message_id, user_id, emoji) VALUES ($1, $2, $3)
+            ON CONFLICT (message_id, user_id, emoji) DO NOTHING
+        `, [messageId, req.user.id, emoji]);
+    } else {
+        await pool.query(
+            'DELETE FROM message_reactions WHERE message_id = $1 AND user_id = $2 AND emoji = $3',
+            [messageId, req.user.id, emoji]
+        );
+    }
+    
+    const reactions = (await getReactionSummaries(pool, [messageId])).get(messageId) || [];
+    const memberIds = await getMemberIds(pool, message.conversation_id);
+    publish(memberIds, 'reaction', { conversationId: message.conversation_id, messageId, reactions });
+    res.json({ success: true, messageId, reactions });
+}
+
+app.post('/api/messages/:messageId/reactions', authenticateToken, async (req, res) => {
+    try {
+        await updateReaction(req, res, true);
+    } catch (error) {
+        console.error('Reaction add error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add reaction' });
+    }
+});
+
+app.delete('/api/messages/:messageId/reactions/:emoji', authenticateToken, async (req, res) => {
+    try {
+        await updateReaction(req, res, false);
+    } catch (error) {
+        console.error('Reaction remove error:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove reaction' });
+    }
+});
+
+// Friend Routes
+app.get('/api/user/:userId/friends', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        
+        const friends = await listFriends(pool, userId);
+        const { incoming, outgoing } = await listFriendRequests(pool, userId);
+        const privacy = await getPrivacySettings(pool, userId);
+        res.json({ success: true, friends, incoming, outgoing, privacy });
+
+    } catch (error) {
+        console.error('Friend list error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch friends' });
+    }
+});
+
+// Error message if accepting a request would take either player past the friend limit, or null.
+// Must run inside a transaction.
+async function friendLimitError(client, userId, otherUserId) {
+    // Lock both players in id order so concurrent accepts cannot pass the limit together
+    await client.query(
+        'SELECT id FROM users WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+        [[Number(userId), Number(otherUserId)]]
+    );
+    if (await countFriendships(client, userId, 'accepted') >= MAX_FRIENDS) {
+        return `You can have at most ${MAX_FRIENDS} friends`;
+    }
+    if (await countFriendships(client, otherUserId, 'accepted') >= MAX_FRIENDS) {
+        return 'This player has reached the friend limit';
+    }
+    return null;
+}
+
+// Send a friend request, or accept the target's pending request to this user
+app.post('/api/user/:userId/friends/requests', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const targetUserId = parseInt(req.body.targetUserId);
+        if (!Number.isInteger(targetUserId) || String(targetUserId) === userId) {
+            return res.status(400).json({ success: false, error: 'Choose another player to add as a friend' });
+        }
+        
+        const client = await pool.connect();
+        let friendship;
+        let notification;
+        try {
+            const target = await client.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+            if (target.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            const blockStatus = await getBlockStatus(client, userId, targetUserId);
+            if (blockStatus.blocked || blockStatus.blockedBy) {
+                return res.status(403).json({
+                    success: false,
+                    error: blockStatus.blocked ? 'Unblock this player to add them as a friend' : 'You cannot add this player as a friend'
+                });
+            }
+            
+            await client.query('BEGIN');
+            const existing = await getFriendship(client, userId, targetUserId);
+            if (existing && existing.status === 'accepted') {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ success: false, error: 'You are already friends' });
+            }
+            if (existing && String(existing.requester_id) === userId) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ success: false, error: 'Friend request already sent' });
+            }
+            
+            const limitError = await friendLimitError(client, userId, targetUserId);
+            if (limitError) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, error: limitError });
+            }
+            
+            if (existing) {
+                friendship = await acceptFriendRequest(client, existing.id, userId);
+                await markNotificationsReadFor(client, userId, 'friend_request', 'requestId', existing.id);
+                notification = await createNotification(client, targetUserId, 'friend_accepted', userId, {});
+            } else {
+                if (await countFriendships(client, userId, 'pending', { outgoingOnly: true }) >= MAX_PENDING_REQUESTS) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({
+                        success: false,
+                        error: `You can have at most ${MAX_PENDING_REQUESTS} friend requests waiting for an answer`
+                    });
+                }
+                friendship = await createFriendRequest(client, userId, targetUserId);
+                notification = await createNotification(client, targetUserId, 'friend_request', userId, { requestId: friendship.id });
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            // Both players sent a request at the same moment
+            if (error.code === '23505') {
+                return res.status(409).json({ success: false, error: 'Friend request already sent' });
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        const accepted = friendship.status === 'accepted';
+        console.log(`👥 User ${userId} ${accepted ? 'accepted a friend request from' : 'sent a friend request to'} user ${targetUserId}`);
+        publish([targetUserId], 'friends', { action: accepted ? 'accepted' : 'request', userId: parseInt(userId) });
+        await publishNotification(targetUserId, notification);
+        if (accepted) {
+            await publishNotification(userId);
+        }
+        res.json({ success: true, requestId: friendship.id, status: friendship.status });
+
+    } catch (error) {
+        console.error('Friend request error:', error);
+        res.status(500).json({ success: false, error: 'Failed to send friend request' });
+    }
+});
+
+app.post('/api/user/:userId/friends/requests/:requestId/accept', requireUser, async (req, res) => {
+    try {
+        const { userId, requestId } = req.params;
+        
+        if (!Number.isInteger(parseInt(requestId))) {
+            return res.status(404).json({ success: false, error: 'Friend request not found' });
+        }
+        
+        const client = await pool.connect();
+        let friendship;
+        let notification;
+        try {
+            await client.query('BEGIN');
+            const request = await client.query(
+                "SELECT requester_id FROM friendships WHERE id = $1 AND addressee_id = $2 AND status = 'pending'",
+                [requestId, userId]
+            );
+            if (request.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ success: false, error: 'Friend request not found' });
+            }
+            
+            const limitError = await friendLimitError(client, userId, request.rows[0].requester_id);
+            if (limitError) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, error: limitError });
+            }
+            
+            // Null if the sender cancelled it in the meantime
+            friendship = await acceptFriendRequest(client, requestId, userId);
+            if (!friendship) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ success: false, error: 'Friend request not found' });
+            }
+            
+            await markNotificationsReadFor(client, userId, 'friend_request', 'requestId', friendship.id);
+            notification = await createNotification(client, friendship.requester_id, 'friend_accepted', userId, {});
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        console.log(`👥 User ${userId} accepted a friend request from user ${friendship.requester_id}`);
+        publish([friendship.requester_id], 'friends', { action: 'accepted', userId: parseInt(userId) });
+        await publishNotification(friendship.requester_id, notification);
+        await publishNotification(userId);
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Friend accept error:', error);
+        res.status(500).json({ success: false, error: 'Failed to accept friend request' });
+    }
+});
+
+// Declining is silent: the sender's request just disappears
+app.post('/api/user/:userId/friends/requests/:requestId/decline', requireUser, async (req, res) => {
+    try {
+        const { userId, requestId } = req.params;
+        
+        const request = Number.isInteger(parseInt(requestId)) && await deleteFriendRequest(pool, requestId, userId, 'addressee');
+        if (!request) {
+            return res.status(404).json({ success: false, error: 'Friend request not found' });
+        }
+        publish([request.requester_id], 'friends', { action: 'removed', userId: parseInt(userId) });
+        await deleteFriendRequestNotifications(request.id);
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Friend decline error:', error);
+        res.status(500).json({ success: false, error: 'Failed to decline friend request' });
+    }
+});
+
+// Cancel a request this user sent
+app.delete('/api/user/:userId/friends/requests/:requestId', requireUser, async (req, res) => {
+    try {
+        const { userId, requestId } = req.params;
+        
+        const request = Number.isInteger(parseInt(requestId)) && await deleteFriendRequest(pool, requestId, userId, 'requester');
+        if (!request) {
+            return res.status(404).json({ success: false, error: 'Friend request not found' });
+        }
+        publish([request.addressee_id], 'friends', { action: 'removed', userId: parseInt(userId) });
+        await deleteFriendRequestNotifications(request.id);
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Friend request cancel error:', error);
+        res.status(500).json({ success: false, error: 'Failed to cancel friend request' });
+    }
+});
+
+app.delete('/api/user/:userId/friends/:friendId', requireUser, async (req, res) => {
+    try {
+        const { userId, friendId } = req.params;
+        
+        const removed = Number.isInteger(parseInt(friendId)) && await removeFriendship(pool, userId, friendId, { acceptedOnly: true });
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'This player is not on your friends list' });
+        }
+        console.log(`👥 User ${userId} unfriended user ${friendId}`);
+        publish([parseInt(friendId)], 'friends', { action: 'removed', userId: parseInt(userId) });
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Unfriend error:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove friend' });
+    }
+});
+
+// Restrict direct messages and gifts to friends or hide presence; omitted settings are left unchanged
+app.put('/api/user/:userId/privacy', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { friendsOnlyMessages, friendsOnlyGifts, hidePresence } = req.body;
+        if ([friendsOnlyMessages, friendsOnlyGifts, hidePresence].some(value => value !== undefined && typeof value !== 'boolean')) {
+            return res.status(400).json({ success: false, error: 'Privacy settings must be true or false' });
+        }
+        
+        const privacy = await updatePrivacySettings(pool, userId, { friendsOnlyMessages, friendsOnlyGifts, hidePresence });
+        if (hidePresence !== undefined) {
+            await publishPresence(userId);
+        }
+        res.json({ success: true, privacy });
+
+    } catch (error) {
+        console.error('Privacy settings error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update privacy settings' });
+    }
+});
+
+// Notification Routes
+// Tell the player's open windows about a new notification, or just their new unread counts
+async function publishNotification(userId, notification = null) {
+    const unread = await getUnreadNotificationCounts(pool, userId);
+    // Entries from blocked or muted players stay out of the feed, so only the counts go out
+    const shown = notification && !(notification.actor && await isActorSilenced(pool, userId, notification.actor.id));
+    publish([userId], 'notification', shown ? { action: 'new', notification, unread } : { action: 'updated', unread });
+}
+
+// A request that was declined, cancelled or ended by a block no longer needs answering
+async function deleteFriendRequestNotifications(requestId) {
+    const userIds = await deleteNotificationsFor(pool, 'friend_request', 'requestId', requestId);
+    await Promise.all(userIds.map(userId => publishNotification(userId)));
+}
+
+// ?type= narrows the feed to one type; ?before=<notification id> pages back using nextBefore
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const type = req.query.type || null;
+        const before = req.query.before || null;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || NOTIFICATIONS_PAGE_SIZE, 1), 100);
+        if (type && !NOTIFICATION_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, error: `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}` });
+        }
+        if (before && !/^\d+$/.test(before)) {
+            return res.status(400).json({ success: false, error: 'Invalid notification cursor' });
+        }
+        
+        const client = await pool.connect();
+        try {
+            const notifications = await listNotifications(client, req.user.id, { type, before, limit });
+            res.json({
+                success: true,
+                notifications,
+                unread: await getUnreadNotificationCounts(client, req.user.id),
+                nextBefore: notifications.length === limit ? notifications[notifications.length - 1].id : null
+            });
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        console.error('Notifications error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch notifications' });
+    }
+});
+
+app.post('/api/notifications/read-all', authenticateToken, async (req, res) => {
+    try {
+        const type = req.body.type || null;
+        if (type && !NOTIFICATION_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, error: `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}` });
+        }
+        
+        await markAllNotificationsRead(pool, req.user.id, type);
+        await publishNotification(req.user.id);
+        res.json({ success: true, unread: await getUnreadNotificationCounts(pool, req.user.id) });
+
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({ success: false, error: 'Failed to mark notifications as read' });
+    }
+});
+
+app.post('/api/notifications/:notificationId/read', authenticateToken, async (req, res) => {
+    try {
+        const { notificationId } = req.params;
+        
+        const found = /^\d+$/.test(notificationId) && await markNotificationRead(pool, req.user.id, notificationId);
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Notification not found' });
+        }
+        await publishNotification(req.user.id);
+        res.json({ success: true, unread: await getUnreadNotificationCounts(pool, req.user.id) });
+
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({ success: false, error: 'Failed to mark notification as read' });
+    }
+});
+
+// Presence Routes
+// Tell friends and conversation partners how userId now appears to them
+async function publishPresence(userId) {
+    const audience = await getPresenceAudience(pool, userId);
+    const presence = await getPresence(pool, null, [userId]);
+    publish(audience, 'presence', { userId: parseInt(userId), ...presence[userId] });
+}
+
+// Sent by open clients every minute; idleSeconds is the time since the player's last input
+app.post('/api/presence/heartbeat', authenticateToken, async (req, res) => {
+    try {
+        const idleSeconds = Number(req.body.idleSeconds) || 0;
+        
+        const { previous, status, hidden } = await recordHeartbeat(pool, req.user.id, Math.max(0, idleSeconds));
+        if (previous !== status && !hidden) {
+            await publishPresence(req.user.id);
+        }
+        res.json({ success: true, status });
+
+    } catch (error) {
+        console.error('Presence heartbeat error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update presence' });
+    }
+});
+
+// Batch lookup: ?userIds=1,2,3
+app.get('/api/presence', authenticateToken, async (req, res) => {
+    try {
+        const userIds = String(req.query.userIds || '').split(',').filter(Boolean).map(Number);
+        if (userIds.length === 0 || userIds.length > MAX_PRESENCE_LOOKUP || userIds.some(id => !Number.isInteger(id))) {
+            return res.status(400).json({ success: false, error: `Ask for 1-${MAX_PRESENCE_LOOKUP} user ids` });
+        }
+        
+        const presence = await getPresence(pool, req.user.id, userIds);
+        res.json({ success: true, presence });
+
+    } catch (error) {
+        console.error('Presence lookup error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch presence' });
+    }
+});
+
+// Block and Mute Routes
+app.get('/api/user/:userId/blocks', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        
+        const blocked = await listUsers(pool, 'block', userId);
+        const muted = await listUsers(pool, 'mute', userId);
+        res.json({ success: true, blocked, muted });
+
+    } catch (error) {
+        console.error('Block list error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch blocked and muted users' });
+    }
+});
+
+// POST adds targetUserId to the user's block or mute list, DELETE takes them off again
+function listRoutes(list, path, pastTense) {
+    app.post(`/api/user/:userId/${path}`, requireUser, async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const targetUserId = parseInt(req.body.targetUserId);
+            if (!Number.isInteger(targetUserId) || String(targetUserId) === userId) {
+                return res.status(400).json({ success: false, error: `Choose another user to ${list}` });
+            }
+            
+            const target = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+            if (target.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            const added = await addToList(pool, list, userId, targetUserId);
+            // Blocking someone also ends any friendship or pending request with them
+            const friendship = list === 'block' && await removeFriendship(pool, userId, targetUserId);
+            if (friendship) {
+                publish([targetUserId], 'friends', { action: 'removed', userId: parseInt(userId) });
+                await deleteFriendRequestNotifications(friendship.id);
+            }
+            // Their notifications are hidden from now on
+            await publishNotification(userId);
+            // Blocked players see the blocker as offline from now on
+            if (list === 'block') {
+                publish([targetUserId], 'presence', { userId: parseInt(userId), status: 'offline', lastSeen: null });
+            }
+            console.log(`🚫 User ${userId} ${pastTense} user ${targetUserId}`);
+            res.json({ success: true, added });
+
+        } catch (error) {
+            console.error(`User ${list} error:`, error);
+            res.status(500).json({ success: false, error: `Failed to ${list} user` });
+        }
+    });
+
+    app.delete(`/api/user/:userId/${path}/:targetUserId`, requireUser, async (req, res) => {
+        try {
+            const { userId, targetUserId } = req.params;
+            
+            const removed = Number.isInteger(parseInt(targetUserId)) && await removeFromList(pool, list, userId, targetUserId);
+            if (!removed) {
+                return res.status(404).json({ success: false, error: `User is not on your ${list} list` });
+            }
+            await publishNotification(userId);
+            res.json({ success: true });
+
+        } catch (error) {
+            console.error(`User un${list} error:`, error);
+            res.status(500).json({ success: false, error: `Failed to un${list} user` });
+        }
+    });
+}
+
+listRoutes('block', 'blocks', 'blocked');
+listRoutes('mute', 'mutes', 'muted');
+
+// Report Routes
+// messageIds quote messages the target sent in the reporter's conversations
+app.post('/api/reports', authenticateToken, reportRateLimit, async (req, res) => {
+    try {
+        const reporterId = req.user.id;
+        const targetUserId = parseInt(req.body.targetUserId);
+        const { reason } = req.body;
+        const details = typeof req.body.details === 'string' ? req.body.details.trim() : '';
+        const messageIds = req.body.messageIds || [];
+        
+        if (!Number.isInteger(targetUserId) || String(targetUserId) === reporterId) {
+            return res.status(400).json({ success: false, error: 'Choose another player to report' });
+        }
+        if (!REPORT_REASONS[reason]) {
+            return res.status(400).json({ success: false, error: `Reason must be one of: ${Object.keys(REPORT_REASONS).join(', ')}` });
+        }
+        if (details.length > REPORT_DETAILS_MAX_LENGTH) {
+            return res.status(400).json({ success: false, error: `Details can be at most ${REPORT_DETAILS_MAX_LENGTH} characters` });
+        }
+        if (!Array.isArray(messageIds) || messageIds.length > MAX_REPORT_MESSAGES || messageIds.some(id => !UUID_PATTERN.test(id))) {
+            return res.status(400).json({ success: false, error: `Attach up to ${MAX_REPORT_MESSAGES} messages as evidence` });
+        }
+        
+        const client = await pool.connect();
+        let reportId;
+        try {
+            const target = await client.query('SELECT username FROM users WHERE id = $1', [targetUserId]);
+            if (target.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            const evidence = await client.query(`
+                SELECT m.id, m.conversation_id, m.content, m.created_at
+                FROM messages m
+                JOIN conversation_members me ON me.conversation_id = m.conversation_id AND me.user_id = $3
+                WHERE m.id = ANY($1::uuid[]) AND m.sender_id = $2 AND m.deleted_at IS NULL
+                ORDER BY m.created_at
+            `, [[...new Set(messageIds)], targetUserId, reporterId]);
+            if (evidence.rows.length !== new Set(messageIds).size) {
+                return res.status(400).json({ success: false, error: 'Evidence must be messages this player sent in your conversations' });
+            }
+            
+            await client.query('BEGIN');
+            // One open report per reporter and target; moderators see it until they resolve it
+            const existing = await client.query(
+                "SELECT id FROM reports WHERE reporter_id = $1 AND target_id = $2 AND status = 'open' FOR UPDATE",
+                [reporterId, targetUserId]
+            );
+            if (existing.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ success: false, error: 'You already have an open report about this player' });
+            }
+            
+            reportId = await createReport(client, {
+                reporterId,
+                targetId: targetUserId,
+                reason,
+                details: details || null,
+                evidence: evidence.rows
+            });
+            await client.query('COMMIT');
+            
+            console.log(`🚩 ${req.user.username} reported ${target.rows[0].username} for ${reason}`);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        res.json({ success: true, reportId });
+
+    } catch (error) {
+        console.error('Report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to submit report' });
+    }
+});
+
+// Sanctions the player should be told about: active ones and unacknowledged warnings
+app.get('/api/user/:userId/sanctions', requireUser, async (req, res) => {
+    try {
+        const sanctions = await getSanctionNotices(pool, req.params.userId);
+        res.json({ success: true, sanctions });
+
+    } catch (error) {
+        console.error('Sanction notices error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch sanctions' });
+    }
+});
+
+app.post('/api/user/:userId/sanctions/:sanctionId/acknowledge', requireUser, async (req, res) => {
+    try {
+        const { userId, sanctionId } = req.params;
+        
+        const result = await pool.query(`
+            UPDATE user_sanctions SET acknowledged_at = COALESCE(acknowledged_at, NOW())
+            WHERE id = $1 AND user_id = $2
+            RETURNING id
+        `, [parseInt(sanctionId) || 0, userId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Sanction not found' });
+        }
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Sanction acknowledge error:', error);
+        res.status(500).json({ success: false, error: 'Failed to acknowledge sanction' });
+    }
+});
+
+// Attachment Routes
+// Uploads are sent as the raw request body with the original name in X-Filename
+const UNSENT_ATTACHMENT_TTL_MS = 24 * 60 * MINUTE_MS;
+
+function readAttachmentBody(req, res, next) {
+    express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES })(req, res, error => {
+        if (error) {
+            const tooLarge = error.type === 'entity.too.large';
+            return res.status(tooLarge ? 413 : 400).json({
+                success: false,
+                error: tooLarge ? `Files can be at most ${Math.floor(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB` : 'Could not read the upload'
+            });
+        }
+        next();
+    });
+}
+
+app.post('/api/attachments', authenticateToken, readAttachmentBody, async (req, res) => {
+    try {
+        const buffer = req.body;
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            return res.status(400).json({ success: false, error: 'The upload is empty' });
+        }
+        
+        const used = await pool.query(
+            'SELECT COALESCE(SUM(size_bytes), 0) AS total FROM attachments WHERE uploader_id = $1',
+            [req.user.id]
+        );
+        if (parseInt(used.rows[0].total) + buffer.length > USER_QUOTA_BYTES) {
+            return res.status(413).json({ success: false, error: 'Attachment storage quota exceeded. Delete some messages with files to free space.' });
+        }
+        
+        // Clients URI-encode the name so it survives as a header value
+        let filename = req.get('X-Filename') || '';
+        try {
+            filename = decodeURIComponent(filename);
+        } catch (error) {
+            // Keep the raw header value
+        }
+        
+        const stored = await storeAttachment(buffer, filename);
+        if (!stored) {
+            return res.status(415).json({ success: false, error: 'Unsupported or damaged file. Images, PDF, ZIP and text files are allowed.' });
+        }
+        
+        const result = await pool.query(`
+            INSERT INTO attachments (id, uploader_id, filename, mime_type, size_bytes, storage_key, thumbnail_key, width, height)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id, filename, mime_type, size_bytes, thumbnail_key, width, height
+        `, [stored.id, req.user.id, stored.filename, stored.mimeType, stored.sizeBytes, stored.storageKey, stored.thumbnailKey, stored.width, stored.height]);
+        
+        console.log(`📎 ${req.user.username} uploaded ${stored.filename} (${stored.mimeType}, ${stored.sizeBytes} bytes)`);
+        res.json({ success: true, attachment: formatAttachment(result.rows[0]) });
+
+    } catch (error) {
+        console.error('Attachment upload error:', error);
+        res.status(500).json({ success: false, error: 'Failed to upload attachment' });
+    }
+});
+
+// The attachment if the requester may see it: members of its message's conversation, or the uploader before it is sent
+async function getAttachmentForUser(attachmentId, userId) {
+    if (!UUID_PATTERN.test(attachmentId)) return null;
+    const result = await pool.query(`
+        SELECT a.* FROM attachments a
+        LEFT JOIN messages m ON m.id = a.message_id
+        WHERE a.id = $1 AND (
+            (a.message_id IS NULL AND a.uploader_id = $2)
+            OR EXISTS (SELECT 1 FROM conversation_members me WHERE me.conversation_id = m.conversation_id AND me.user_id = $2)
+        )
+    `, [attachmentId, userId]);
+    return result.rows[0] || null;
+}
+
+async function sendAttachment(req, res, thumbnail) {
+    const attachment = await getAttachmentForUser(req.params.attachmentId, req.user.id);
+    if (!attachment || (thumbnail && !attachment.thumbnail_key)) {
+        return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+    
+    const data = await getAttachmentStorage().get(thumbnail ? attachment.thumbnail_key : attachment.storage_key);
+    if (!data) {
+        return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+    
+    // Only images are shown inline; everything else downloads under its original name
+    const inline = thumbnail || isImage(attachment.mime_type);
+    res.set({
+        'Content-Type': thumbnail ? 'image/jpeg' : attachment.mime_type,
+        'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${attachment.filename}"`,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=86400'
+    });
+    res.send(data);
+}
+
+app.get('/api/attachments/:attachmentId', authenticateToken, async (req, res) => {
+    try {
+        await sendAttachment(req, res, false);
+    } catch (error) {
+        console.error('Attachment download error:', error);
+        res.status(500).json({ success: false, error: 'Failed to download attachment' });
+    }
+});
+
+app.get('/api/attachments/:attachmentId/thumbnail', authenticateToken, async (req, res) => {
+    try {
+        await sendAttachment(req, res, true);
+    } catch (error) {
+        console.error('Attachment thumbnail error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch thumbnail' });
+    }
+});
+
+// Uploads never sent, and files whose message or conversation was deleted, are removed after a day
+async function deleteUnsentAttachments() {
+    const result = await pool.query(`
+        DELETE FROM attachments
+        WHERE message_id IS NULL AND created_at < $1
+        RETURNING storage_key, thumbnail_key
+    `, [new Date(Date.now() - UNSENT_ATTACHMENT_TTL_MS)]);
+    await deleteStoredFiles(result.rows);
+    if (result.rows.length > 0) {
+        console.log(`📎 Removed ${result.rows.length} unsent attachments`);
+    }
+}
+
+// Mailbox/Gifts System Routes
+app.get('/api/mailbox/:userId', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        
+        const client = await pool.connect();
+        let result;
+        try {
+            result = await client.query(`
+                SELECT g.id, g.item_type, g.item_name, g.item_icon, g.item_description, g.item_price,
+                       g.message, g.status, g.created_at, COALESCE(u.username, $2) as sender_username
+                FROM gifts g
+                LEFT JOIN users u ON g.sender_id = u.id
+                WHERE g.recipient_id = $1 AND g.status = 'pending'
+                ORDER BY g.created_at DESC
+            `, [userId, DELETED_USER_NAME]);
+        } finally {
+            client.release();
+        }
+        
+        const mailbox = result.rows.map(row => ({
+            id: row.id,
+            sender: row.sender_username,
+            itemType: row.item_type,
+            itemData: {
+                name: row.item_name,
+                icon: row.item_icon,
+                description: row.item_description,
+                price: row.item_price
+            },
+            message: row.message,
+            status: row.status,
+            timestamp: row.created_at.toISOString()
+        }));
+        
+        res.json({ success: true, items: mailbox });
+
+    } catch (error) {
+        console.error('Mailbox fetch error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch mailbox' });
+    }
+});
+
+
+
+// Game Statistics Routes
+const GAME_TYPES = [
+    'story',
+    'p2e1', 'p2e2', 'p2e3', 'p2e4',
+    'event1', 'event2', 'event3', 'event4',
+    'user1', 'user2', 'user3', 'user4'
+];
+
+app.post('/api/games/play', requireUser, gamePlayRateLimit, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { gameType, duration } = req.body;
+        
+        if (!gameType) {
+            return res.status(400).json({ success: false, error: 'Game type is required' });
+        }
+        if (!GAME_TYPES.includes(gameType)) {
+            return res.status(400).json({ success: false, error: 'Unknown game type' });
+        }
+        
+        // Rewards are rolled on the server; clients cannot choose their earnings
+        const earnedCredits = Math.floor(Math.random() * 50) + 10;
+        
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // Log game session
+            const session = await client.query(
+                'INSERT INTO game_sessions (user_id, game_type, earned_credits, duration) VALUES ($1, $2, $3, $4) RETURNING id',
+                [userId, gameType, earnedCredits, Number.isInteger(duration) ? duration : null]
+            );
+            
+            // Update user credits
+            await transferCredits(client, {
+                from: SYSTEM_ACCOUNTS.REWARDS,
+                to: userId,
+                amount: earnedCredits,
+                reason: 'earn',
+                referenceId: `game_session:${session.rows[0].id}`
+            });
+            
+            await client.query('COMMIT');
+
+            res.json({ 
+                success: true, 
+                earnedCredits,
+                newBalance: await getBalance(client, userId) 
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        console.error('Game play error:', error);
+        res.status(500).json({ success: false, error: 'Failed to record game session' });
+    }
+});
+
+// Analytics Routes
+app.get('/api/admin/stats', requireAdmin, async (req, res) => {
+    try {
+        const client = await pool.connect();
+        let result;
+        try {
+            result = await client.query(`
+                SELECT
+                    (SELECT COUNT(*) FROM users) AS total_users,
+                    (SELECT COUNT(*) FROM users WHERE last_login > NOW() - INTERVAL '7 days') AS active_users,
+                    (SELECT COUNT(*) FROM users WHERE activated) AS activated_users,
+                    (SELECT COUNT(*) FROM ledger_transactions) AS total_transactions,
+                    (SELECT COUNT(*) FROM game_sessions) AS total_game_sessions,
+                    (SELECT COALESCE(SUM(amount), 0) FROM ledger_entries WHERE user_id IS NOT NULL) AS total_credits
+            `);
+        } finally {
+            client.release();
+        }
+
+        const row = result.rows[0];
+        const stats = {
+            totalUsers: parseInt(row.total_users),
+            activeUsers: parseInt(row.active_users),
+            activatedUsers: parseInt(row.activated_users),
+            totalTransactions: parseInt(row.total_transactions),
+            totalGameSessions: parseInt(row.total_game_sessions),
+            totalCreditsInCirculation: parseInt(row.total_credits)
+        };
+
+        res.json({ success: true, stats });
+
+    } catch (error) {
+        console.error('Stats fetch error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch stats' });
+    }
+});
+
+// Password hash migration progress
+app.get('/api/admin/password-hashes', requireAdmin, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT COUNT(*) FILTER (WHERE password_hash ~ '^[a-f0-9]{64}$') AS legacy,
+                   COUNT(*) AS total
+            FROM users
+        `);
+
+        res.json({ 
+            success: true, 
+            legacyHashes: parseInt(result.rows[0].legacy),
+            totalUsers: parseInt(result.rows[0].total)
+        });
+
+    } catch (error) {
+        console.error('Password hash report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to report password hashes' });
+    }
+});
+
+// Admin user browser
+const ADMIN_USERS_PAGE_SIZE = 25;
+
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || ADMIN_USERS_PAGE_SIZE, 1), 100);
+        const search = req.query.search ? `%${req.query.search}%` : null;
+        const role = ROLES.includes(req.query.role) ? req.query.role : null;
+        
+        const filter = `
+            WHERE ($1::text IS NULL OR username ILIKE $1 OR email ILIKE $1)
+              AND ($2::text IS NULL OR role = $2)
+        `;
+        const total = await pool.query(`SELECT COUNT(*) AS total FROM users ${filter}`, [search, role]);
+        const result = await pool.query(`
+            SELECT id, username, email, role, activated, email_verified, created_at, last_login
+            FROM users ${filter}
+            ORDER BY created_at DESC, id DESC
+            LIMIT $3 OFFSET $4
+        `, [search, role, limit, (page - 1) * limit]);
+        
+        res.json({
+            success: true,
+            page,
+            limit,
+            total: parseInt(total.rows[0].total),
+            users: result.rows.map(row => ({
+                id: row.id,
+                username: row.username,
+                email: row.email,
+                role: row.role,
+                activated: row.activated,
+                emailVerified: row.email_verified,
+                createdAt: row.created_at,
+                lastLogin: row.last_login
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Admin users error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list users' });
+    }
+});
+
+app.put('/api/admin/users/:userId/role', requireAdmin, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+        
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+        
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            // Lock the admins so two concurrent demotions cannot remove the last one
+            const admins = await client.query("SELECT id FROM users WHERE role = 'admin' FOR UPDATE");
+            const isLastAdmin = admins.rows.length === 1 && String(admins.rows[0].id) === String(userId);
+            
+            if (isLastAdmin && role !== 'admin') {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, error: 'Cannot demote the last admin' });
+            }
+            
+            const result = await client.query(
+                'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, username, role',
+                [role, userId]
+            );
+            await client.query('COMMIT');
+            
+            if (result.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+            
+            console.log(`👑 ${req.user.username} set ${result.rows[0].username}'s role to ${role}`);
+            res.json({ success: true, user: result.rows[0] });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+    } catch (error) {
+        console.error('Admin role update error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update role' });
+    }
+});
+
+// Moderation queue
+const ADMIN_REPORTS_PAGE_SIZE = 25;
+
+function formatReport(row) {
+    return {
+        id: row.id,
+        reason: row.reason,
+        reasonLabel: REPORT_REASONS[row.reason],
+        details: row.details,
+        status: row.status,
+        createdAt: row.created_at,
+        reporter: row.reporter_id ? { id: row.reporter_id, username: row.reporter_username } : null,
+        target: { id: row.target_id, username: row.target_username, role: row.target_role },
+        evidenceCount: parseInt(row.evidence_count),
+        openReportsAgainstTarget: parseInt(row.open_reports_against_target),
+        resolvedBy: row.resolved_by_username || null,
+        resolvedAt: row.resolved_at,
+        resolutionNote: row.resolution_note
+    };
+}
+
+const REPORT_SELECT = `
+    SELECT r.*, rep.username AS reporter_username, t.username AS target_username, t.role AS target_role,
+           resolver.username AS resolved_by_username,
+           (SELECT COUNT(*) FROM report_messages rm WHERE rm.report_id = r.id) AS evidence_count,
+           (SELECT COUNT(*) FROM reports o WHERE o.target_id = r.target_id AND o.status = 'open') AS open_reports_against_target
+    FROM reports r
+    JOIN users t ON t.id = r.target_id
+    LEFT JOIN users rep ON rep.id = r.reporter_id
+    LEFT JOIN users resolver ON resolver.id = r.resolved_by
+`;
+
+// Oldest open reports first so nothing waits forever; resolved ones newest first
+app.get('/api/admin/reports', requireModerator, async (req, res) => {
+    try {
+        const status = REPORT_STATUSES.includes(req.query.status) ? req.query.status : 'open';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || ADMIN_REPORTS_PAGE_SIZE, 1), 100);
+        const order = status === 'open' ? 'ASC' : 'DESC';
+        
+        const total = await pool.query('SELECT COUNT(*) AS total FROM reports WHERE status = $1', [status]);
+        const result = await pool.query(`
+            ${REPORT_SELECT}
+            WHERE r.status = $1
+            ORDER BY r.created_at ${order}, r.id ${order}
+            LIMIT $2 OFFSET $3
+        `, [status, limit, (page - 1) * limit]);
         
-        const client = await pool.connect();
+        res.json({
+            success: true,
+            status,
+            page,
+            limit,
+            total: parseInt(total.rows[0].total),
+            reports: result.rows.map(formatReport)
+        });
+        
+    } catch (error) {
+        console.error('Admin reports error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list reports' });
+    }
+});
+
+app.get('/api/admin/reports/:reportId', requireModerator, async (req, res) => {
+    try {
+        const reportId = parseInt(req.params.reportId) || 0;
+        
+        const result = await pool.query(`${REPORT_SELECT} WHERE r.id = $1`, [reportId]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Report not found' });
+        }
+        const report = result.rows[0];
         
-        // Check if user already exists
-        const existingUser = await client.query(
-            'SELECT id FROM users WHERE username = $1 OR email = $2',
-            [username, email]
+        const evidence = await pool.query(
+            'SELECT message_id, conversation_id, content, sent_at FROM report_messages WHERE report_id = $1 ORDER BY sent_at, id',
+            [reportId]
         );
+        // The target's record, including expired and lifted sanctions
+        const sanctions = await pool.query(`
+            SELECT s.*, i.username AS issued_by_username
+            FROM user_sanctions s
+            LEFT JOIN users i ON i.id = s.issued_by
+            WHERE s.user_id = $1
+            ORDER BY s.created_at DESC, s.id DESC
+        `, [report.target_id]);
+        
+        res.json({
+            success: true,
+            report: {
+                ...formatReport(report),
+                evidence: evidence.rows.map(row => ({
+                    messageId: row.message_id,
+                    conversationId: row.conversation_id,
+                    content: row.content,
+                    sentAt: row.sent_at
+                })),
+                targetSanctions: sanctions.rows.map(row => ({
+                    ...formatSanction(row),
+                    issuedBy: row.issued_by_username || null,
+                    revokedAt: row.revoked_at
+                }))
+            }
+        });
+        
+    } catch (error) {
+        console.error('Admin report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch report' });
+    }
+});
+
+// action is 'dismiss' or a sanction type; reason is shown to the player, note only to moderators
+app.post('/api/admin/reports/:reportId/resolve', requireModerator, async (req, res) => {
+    try {
+        const reportId = parseInt(req.params.reportId) || 0;
+        const { action } = req.body;
+        const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        const isTimed = TIMED_SANCTIONS.includes(action);
+        const durationHours = isTimed ? Number(req.body.durationHours) : null;
+        
+        if (action !== 'dismiss' && !SANCTION_TYPES.includes(action)) {
+            return res.status(400).json({ success: false, error: `Action must be one of: dismiss, ${SANCTION_TYPES.join(', ')}` });
+        }
+        if (isTimed && (!Number.isInteger(durationHours) || durationHours < 1 || durationHours > MAX_SANCTION_HOURS)) {
+            return res.status(400).json({ success: false, error: `Mutes and suspensions need a duration of 1 to ${MAX_SANCTION_HOURS} hours` });
+        }
+        if (reason.length > REPORT_DETAILS_MAX_LENGTH || note.length > REPORT_DETAILS_MAX_LENGTH) {
+            return res.status(400).json({ success: false, error: `Reasons and notes can be at most ${REPORT_DETAILS_MAX_LENGTH} characters` });
+        }
+        
+        const client = await pool.connect();
+        let report;
+        let sanction = null;
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(`
+                SELECT r.id, r.reason, r.status, r.target_id, t.username AS target_username, t.role AS target_role
+                FROM reports r
+                JOIN users t ON t.id = r.target_id
+                WHERE r.id = $1
+                FOR UPDATE OF r
+            `, [reportId]);
+            report = result.rows[0];
+            
+            if (!report) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ success: false, error: 'Report not found' });
+            }
+            if (report.status !== 'open') {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ success: false, error: 'This report has already been resolved' });
+            }
+            if (action !== 'dismiss' && ROLES.indexOf(report.target_role) >= ROLES.indexOf(req.user.role)) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ success: false, error: 'Only a higher role can sanction this user' });
+            }
+            
+            if (action !== 'dismiss') {
+                sanction = await issueSanction(client, {
+                    userId: report.target_id,
+                    type: action,
+                    reason: reason || REPORT_REASONS[report.reason],
+                    durationHours,
+                    reportId,
+                    issuedBy: req.user.id
+                });
+            }
+            await client.query(`
+                UPDATE reports SET status = $1, resolved_by = $2, resolved_at = NOW(), resolution_note = $3
+                WHERE id = $4
+            `, [action === 'dismiss' ? 'dismissed' : 'actioned', req.user.id, note || null, reportId]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        if (sanction) {
+            console.log(`🛡️ ${req.user.username} issued a ${action} to ${report.target_username} (report ${reportId})`);
+            // Tell the player right away if they are online
+            publish([report.target_id], 'sanction', formatSanction(sanction));
+        } else {
+            console.log(`🛡️ ${req.user.username} dismissed report ${reportId}`);
+        }
+        res.json({ success: true, sanction: sanction && formatSanction(sanction) });
+        
+    } catch (error) {
+        console.error('Admin report resolve error:', error);
+        res.status(500).json({ success: false, error: 'Failed to resolve report' });
+    }
+});
+
+// Lift a sanction before it expires
+app.delete('/api/admin/sanctions/:sanctionId', requireModerator, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE user_sanctions SET revoked_at = NOW(), revoked_by = $1
+            WHERE id = $2 AND revoked_at IS NULL
+            RETURNING id, user_id, type
+        `, [req.user.id, parseInt(req.params.sanctionId) || 0]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Active sanction not found' });
+        }
+        
+        const lifted = result.rows[0];
+        console.log(`🛡️ ${req.user.username} lifted ${lifted.type} ${lifted.id} on user ${lifted.user_id}`);
+        res.json({ success: true });
+        
+    } catch (error) {
+        console.error('Admin sanction lift error:', error);
+        res.status(500).json({ success: false, error: 'Failed to lift sanction' });
+    }
+});
+
+// Content filter administration
+app.get('/api/admin/content-filter', requireAdmin, async (req, res) => {
+    res.json({ success: true, config: getContentFilterConfig() });
+});
+
+// Replace the word lists and/or field policies; omitted parts keep their current value
+app.put('/api/admin/content-filter', requireAdmin, async (req, res) => {
+    try {
+        const current = getContentFilterConfig();
+        const config = {
+            lists: req.body.lists || current.lists,
+            fields: req.body.fields || current.fields
+        };
+        
+        const error = validateFilterConfig(config);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        await saveContentFilter(pool, config, req.user.id);
+        console.log(`🧹 ${req.user.username} updated the content filter`);
+        res.json({ success: true, config: getContentFilterConfig() });
+        
+    } catch (error) {
+        console.error('Content filter update error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update content filter' });
+    }
+});
+
+// Dry run: what the current rules would do with this text, without storing or reporting anything
+app.post('/api/admin/content-filter/test', requireModerator, async (req, res) => {
+    const { text, field = 'message' } = req.body;
+    if (typeof text !== 'string') {
+        return res.status(400).json({ success: false, error: 'Text is required' });
+    }
+    if (!FILTER_FIELDS.includes(field)) {
+        return res.status(400).json({ success: false, error: `Field must be one of: ${FILTER_FIELDS.join(', ')}` });
+    }
+    
+    res.json({ success: true, field, ...checkText(field, text) });
+});
+
+// Send a system announcement to every player's notifications
+app.post('/api/admin/announcements', requireAdmin, async (req, res) => {
+    try {
+        const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+        if (!title || title.length > ANNOUNCEMENT_TITLE_MAX_LENGTH) {
+            return res.status(400).json({ success: false, error: `Title must be 1-${ANNOUNCEMENT_TITLE_MAX_LENGTH} characters` });
+        }
+        if (body.length > ANNOUNCEMENT_BODY_MAX_LENGTH) {
+            return res.status(400).json({ success: false, error: `Announcement text must be at most ${ANNOUNCEMENT_BODY_MAX_LENGTH} characters` });
+        }
+        
+        const recipientIds = await createAnnouncement(pool, title, body);
+        // Too many players to count unread entries for each; open clients reload their feed
+        publish(recipientIds, 'notification', { action: 'announcement' });
+        
+        console.log(`📢 ${req.user.username} sent an announcement to ${recipientIds.length} players: ${title}`);
+        res.json({ success: true, recipients: recipientIds.length });
+
+    } catch (error) {
+        console.error('Announcement error:', error);
+        res.status(500).json({ success: false, error: 'Failed to send announcement' });
+    }
+});
+
+// License key administration
+const MAX_LICENSE_BATCH = 500;
+
+// Mint a batch of keys. The plain keys are only ever returned here.
+app.post('/api/admin/licenses', requireAdmin, async (req, res) => {
+    try {
+        const { count = 1, licenseType = 'full', seats = 1, expiresAt, durationDays } = req.body;
+        
+        if (!Number.isInteger(count) || count < 1 || count > MAX_LICENSE_BATCH) {
+            return res.status(400).json({ success: false, error: `Count must be between 1 and ${MAX_LICENSE_BATCH}` });
+        }
+        if (!LICENSE_TYPES[licenseType]) {
+            return res.status(400).json({ success: false, error: 'Unknown license type' });
+        }
+        if (!Number.isInteger(seats) || seats < 1) {
+            return res.status(400).json({ success: false, error: 'Seats must be a positive whole number' });
+        }
+
+        let expiry = null;
+        if (expiresAt) {
+            expiry = new Date(expiresAt);
+        } else if (durationDays) {
+            expiry = new Date(Date.now() + Number(durationDays) * 86400000);
+        }
+        if (expiry && (isNaN(expiry) || expiry <= new Date())) {
+            return res.status(400).json({ success: false, error: 'Expiry must be a future date' });
+        }
+
+        const batchId = crypto.randomUUID();
+        const keys = [];
+        
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            for (let i = 0; i < count; i++) {
+                const key = generateLicenseKey();
+                await client.query(`
+                    INSERT INTO license_keys (key_hash, key_hint, license_type, max_seats, expires_at, batch_id)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                `, [hashLicenseKey(key), key.slice(-4), licenseType, seats, expiry, batchId]);
+                keys.push(key);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`🔑 Minted ${count} ${licenseType} license key(s) in batch ${batchId}`);
+        res.json({ success: true, batchId, licenseType, seats, expiresAt: expiry, keys });
+
+    } catch (error) {
+        console.error('License mint error:', error);
+        res.status(500).json({ success: false, error: 'Failed to mint license keys' });
+    }
+});
+
+app.get('/api/admin/licenses', requireAdmin, async (req, res) => {
+    try {
+        const { batchId } = req.query;
+        
+        const result = await pool.query(`
+            SELECT k.id, k.key_hint, k.license_type, k.max_seats, k.expires_at, k.batch_id, k.revoked_at, k.created_at,
+                   COUNT(r.id) AS seats_used
+            FROM license_keys k
+            LEFT JOIN license_redemptions r ON r.license_id = k.id
+            WHERE $1::varchar IS NULL OR k.batch_id = $1
+            GROUP BY k.id
+            ORDER BY k.created_at DESC, k.id DESC
+        `, [batchId || null]);
+
+        res.json({ 
+            success: true, 
+            licenses: result.rows.map(row => ({
+                id: row.id,
+                keyHint: `****-****-****-${row.key_hint}`,
+                licenseType: row.license_type,
+                seats: row.max_seats,
+                seatsUsed: parseInt(row.seats_used),
+                expiresAt: row.expires_at,
+                batchId: row.batch_id,
+                revokedAt: row.revoked_at,
+                createdAt: row.created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('License list error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list license keys' });
+    }
+});
+
+app.get('/api/admin/licenses/redemptions', requireAdmin, async (req, res) => {
+    try {
+        const { licenseId } = req.query;
+        
+        const result = await pool.query(`
+            SELECT r.license_id, r.user_id, r.redeemed_at, u.username, u.email, k.key_hint, k.license_type
+            FROM license_redemptions r
+            JOIN license_keys k ON k.id = r.license_id
+            JOIN users u ON u.id = r.user_id
+            WHERE $1::integer IS NULL OR r.license_id = $1
+            ORDER BY r.redeemed_at DESC
+        `, [licenseId ? parseInt(licenseId) : null]);
+
+        res.json({ 
+            success: true, 
+            redemptions: result.rows.map(row => ({
+                licenseId: row.license_id,
+                keyHint: `****-****-****-${row.key_hint}`,
+                licenseType: row.license_type,
+                userId: row.user_id,
+                username: row.username,
+                email: row.email,
+                redeemedAt: row.redeemed_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('License redemptions error:', error);
+        res.status(500).json({ success: false, error: 'Failed to list license redemptions' });
+    }
+});
+
+// Revoking a key deactivates every account that has no other valid license
+app.post('/api/admin/licenses/:licenseId/revoke', requireAdmin, async (req, res) => {
+    try {
+        const { licenseId } = req.params;
+        
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(
+                `UPDATE license_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+                 WHERE id = $1 RETURNING id`,
+                [licenseId]
+            );
+            
+            if (result.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ success: false, error: 'License key not found' });
+            }
+
+            const redemptions = await client.query(
+                'SELECT user_id FROM license_redemptions WHERE license_id = $1',
+                [licenseId]
+            );
+            for (const row of redemptions.rows) {
+                await refreshActivationFlag(client, row.user_id);
+            }
+            await client.query('COMMIT');
+
+            res.json({ success: true, message: 'License key revoked', affectedUsers: redemptions.rows.length });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        console.error('License revoke error:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke license key' });
+    }
+});
+
+// Data backup and restore
+// Tables are listed parent-first so restores can insert without breaking foreign keys
+const BACKUP_TABLES = [
+    'users',
+    'characters',
+    'user_data',
+    'user_characters',
+    'character_inventory',
+    'conversations',
+    'conversation_members',
+    'messages',
+    'message_edits',
+    'message_reactions',
+    'attachments',
+    'conversation_reads',
+    'user_blocks',
+    'user_mutes',
+    'friendships',
+    'player_bases',
+    'base_visits',
+    'search_history',
+    'notifications',
+    'app_settings',
+    'reports',
+    'report_messages',
+    'user_sanctions',
+    'gifts',
+    'transactions',
+    'game_sessions',
+    'ledger_transactions',
+    'ledger_entries',
+    'license_keys',
+    'license_redemptions'
+];
+
+app.get('/api/admin/backup', requireAdmin, async (req, res) => {
+    try {
+        const client = await pool.connect();
+        const backup = {};
+        try {
+            for (const table of BACKUP_TABLES) {
+                const result = await client.query(`SELECT * FROM ${table}`);
+                backup[table] = result.rows;
+            }
+        } finally {
+            client.release();
+        }
+
+        res.json({ success: true, backup });
+
+    } catch (error) {
+        console.error('Backup error:', error);
+        res.status(500).json({ success: false, error: 'Backup failed' });
+    }
+});
+
+app.post('/api/admin/restore', requireAdmin, async (req, res) => {
+    try {
+        const { backup } = req.body;
+        
+        if (!backup || typeof backup !== 'object') {
+            return res.status(400).json({ success: false, error: 'Backup data is required' });
+        }
+        
+        const unknownTables = Object.keys(backup).filter(table => !BACKUP_TABLES.includes(table));
+        if (unknownTables.length > 0) {
+            return res.status(400).json({ success: false, error: `Unknown tables: ${unknownTables.join(', ')}` });
+        }
+        
+        const tables = BACKUP_TABLES.filter(table => Array.isArray(backup[table]));
+        
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            
+            // Clear children before parents, then insert parents first
+            for (const table of [...tables].reverse()) {
+                await client.query(`DELETE FROM ${table}`);
+            }
+            
+            for (const table of tables) {
+                // Generated columns (e.g. the message search index) are recomputed, not restored
+                const columnsResult = await client.query(
+                    "SELECT column_name FROM information_schema.columns WHERE table_name = $1 AND is_generated = 'NEVER'",
+                    [table]
+                );
+                const knownColumns = columnsResult.rows.map(row => row.column_name);
+                
+                for (const row of backup[table]) {
+                    // Only columns that exist on the table are restored
+                    const columns = Object.keys(row).filter(column => knownColumns.includes(column));
+                    const values = columns.map(column => {
+                        const value = row[column];
+                        return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+                    });
+                    const placeholders = columns.map((_, index) => `$${index + 1}`);
+                    
+                    await client.query(
+                        `INSERT INTO ${table} (${columns.map(column => `"${column}"`).join(', ')}) VALUES (${placeholders.join(', ')})`,
+                        values
+                    );
+                }
+                
+                // Keep SERIAL sequences ahead of the restored ids
+                if (!knownColumns.includes('id')) continue;
+                const sequenceResult = await client.query(
+                    "SELECT pg_get_serial_sequence($1, 'id') AS sequence",
+                    [table]
+                );
+                if (sequenceResult.rows[0].sequence) {
+                    await client.query(
+                        `SELECT setval($1, COALESCE(MAX(id), 0) + 1, false) FROM ${table}`,
+                        [sequenceResult.rows[0].sequence]
+                    );
+                }
+            }
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        // Settings take effect without a restart
+        await loadContentFilter(pool);
+
+        res.json({ success: true, message: 'Data restored successfully' });
+
+    } catch (error) {
+        console.error('Restore error:', error);
+        res.status(500).json({ success: false, error: 'Restore failed' });
+    }
+});
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        success: true, 
+        message: 'SkyParty backend server is running',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ===== API ENDPOINTS =====
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({
+        status: 'ok',
+        message: 'SkyParty API Server is running',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Register user
+app.post('/api/register', registerRateLimit('message'), async (req, res) => {
+    try {
+        const { username, email, password } = req.body;
+        
+        if (!username || !email || !password) {
+            return res.status(400).json({ success: false, message: 'Missing required fields' });
+        }
+        if (typeof password !== 'string') {
+            return res.status(400).json({ success: false, message: 'Password must be a string' });
+        }
+        
+        const filteredName = checkText('username', username);
+        if (filteredName.action === 'reject') {
+            return res.status(400).json({ success: false, message: FILTER_REJECTIONS.username });
+        }
         
-        if (existingUser.rows.length > 0) {
+        const client = await pool.connect();
+        let result;
+        let verificationSent = true;
+        try {
+            // Check if user already exists
+            const existingUser = await client.query(
+                'SELECT id FROM users WHERE username = $1 OR email = $2',
+                [username, email]
+            );
+            
+            if (existingUser.rows.length > 0) {
+                return res.status(400).json({ success: false, message: 'Username or email already exists' });
+            }
+            
+            const passwordHash = await hashPassword(password);
+            
+            // Insert new user and credit their starting balance
+            try {
+                await client.query('BEGIN');
+                result = await client.query(
+                    'INSERT INTO users (username, email, password_hash, ledger_opened_at) VALUES ($1, $2, $3, CURRENT_TIMESTAMP) RETURNING id, username, token_version',
+                    [username, email, passwordHash]
+                );
+                await transferCredits(client, {
+                    from: SYSTEM_ACCOUNTS.REWARDS,
+                    to: result.rows[0].id,
+                    amount: STARTING_CREDITS,
+                    reason: 'starting_balance'
+                });
+                if (filteredName.action === 'flag') {
+                    await flagFilteredText(client, { targetId: result.rows[0].id, field: 'username', filtered: filteredName });
+                }
+                await bootstrapAdmin(client);
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            }
+            
+            // A mail outage should not block sign-up; the user can ask for a new link later
+            try {
+                await sendVerificationEmail(client, { id: result.rows[0].id, username, email });
+            } catch (error) {
+                verificationSent = false;
+                console.error('❌ Verification email error:', error);
+            }
+        } finally {
             client.release();
-            return res.status(400).json({ success: false, message: 'Username or email already exists' });
         }
         
-        // Hash password (simple hash for now)
-        const passwordHash = crypto.createHash('sha256').update(password).digest('hex');
-        
-        // Insert new user
-        const result = await client.query(
-            'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id',
-            [username, email, passwordHash]
-        );
-        
-        client.release();
-        
         res.json({
             success: true,
             message: 'User registered successfully',
-            userId: result.rows[0].id
+            userId: result.rows[0].id,
+            verificationSent,
+            tokens: issueTokens(result.rows[0])
         });
         
     } catch (error) {
@@ -819,61 +4201,314 @@ app.post('/api/register', async (req, res) => {
 });
 
 // Login user
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', loginRateLimits('message'), async (req, res) => {
     try {
         const { username, password } = req.body;
         
         if (!username || !password) {
             return res.status(400).json({ success: false, message: 'Missing username or password' });
         }
+        if (typeof password !== 'string') {
+            return res.status(400).json({ success: false, message: 'Password must be a string' });
+        }
+        
+        const lockKey = loginAttemptKey(req);
+        const lockedFor = await loginLockout.retryAfter(lockKey);
+        if (lockedFor > 0) {
+            return sendTooManyRequests(res, lockedFor, `Too many failed login attempts, try again in ${describeWait(lockedFor)}`, 'message');
+        }
         
         const client = await pool.connect();
+        let user;
+        try {
+            // Find user
+            const result = await client.query(
+                'SELECT id, username, email, password_hash, token_version, email_verified, role FROM users WHERE username = $1',
+                [username]
+            );
+            
+            user = result.rows[0];
+            const { valid, needsRehash } = await verifyPassword(password, user && user.password_hash);
+            
+            if (!user || !valid) {
+                const lockMs = await loginLockout.recordFailure(lockKey);
+                if (lockMs > 0) {
+                    return sendTooManyRequests(res, lockMs, `Too many failed login attempts, try again in ${describeWait(lockMs)}`, 'message');
+                }
+                return res.status(401).json({ success: false, message: 'Invalid credentials' });
+            }
+            await loginLockout.reset(lockKey);
+            
+            // Suspended and banned players are told why instead of being signed in
+            const sanction = await getActiveSanction(client, user.id, LOGIN_SANCTIONS);
+            if (sanction) {
+                return sendSanctioned(res, sanction, 'message');
+            }
+            
+            // Transparently upgrade legacy SHA-256 (or under-cost bcrypt) hashes
+            if (needsRehash) {
+                await client.query(
+                    'UPDATE users SET password_hash = $1 WHERE id = $2',
+                    [await hashPassword(password), user.id]
+                );
+                console.log(`🔐 Upgraded password hash for user ${user.id}`);
+            }
+            
+            // Update last login
+            await client.query(
+                'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+                [user.id]
+            );
+        } finally {
+            client.release();
+        }
         
-        // Find user
-        const result = await client.query(
-            'SELECT id, username, email, password_hash FROM users WHERE username = $1',
-            [username]
+        res.json({
+            success: true,
+            message: 'Login successful',
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                emailVerified: Boolean(user.email_verified),
+                role: user.role
+            },
+            tokens: issueTokens(user)
+        });
+        
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ success: false, message: 'Login failed' });
+    }
+});
+
+// Exchange a refresh token for a fresh token pair
+app.post('/api/token/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        if (!refreshToken) {
+            return res.status(400).json({ success: false, message: 'Missing refresh token' });
+        }
+        
+        let payload;
+        try {
+            payload = jwt.verify(refreshToken, JWT_SECRET);
+        } catch (error) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+        }
+        
+        if (payload.type !== 'refresh') {
+            return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+        }
+        
+        const result = await pool.query(
+            'SELECT id, username, token_version FROM users WHERE id = $1',
+            [payload.sub]
         );
         
-        if (result.rows.length === 0) {
-            client.release();
-            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        // Bumping token_version revokes every refresh token issued before it
+        if (result.rows.length === 0 || (result.rows[0].token_version || 0) !== payload.ver) {
+            return res.status(401).json({ success: false, message: 'Refresh token has been revoked' });
         }
         
-        const user = result.rows[0];
-        const passwordHash = crypto.createHash('sha256').update(password).digest('hex');
+        res.json({
+            success: true,
+            tokens: issueTokens(result.rows[0])
+        });
         
-        if (user.password_hash !== passwordHash) {
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ success: false, message: 'Token refresh failed' });
+    }
+});
+
+// Revoke all refresh tokens for the current user
+app.post('/api/logout', authenticateToken, async (req, res) => {
+    try {
+        const client = await pool.connect();
+        let wasVisible;
+        try {
+            await client.query(
+                'UPDATE users SET token_version = COALESCE(token_version, 0) + 1 WHERE id = $1',
+                [req.user.id]
+            );
+            wasVisible = await markOffline(client, req.user.id);
+        } finally {
             client.release();
-            return res.status(401).json({ success: false, message: 'Invalid credentials' });
         }
         
-        // Update last login
+        if (wasVisible) {
+            await publishPresence(req.user.id);
+        }
+        res.json({ success: true, message: 'Logged out successfully' });
+        
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, message: 'Logout failed' });
+    }
+});
+
+// Email verification
+async function verifyEmailToken(token) {
+    const client = await pool.connect();
+    try {
+        const userId = await consumeEmailToken(client, token, 'verify_email');
+        if (!userId) return false;
+        
         await client.query(
-            'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-            [user.id]
+            'UPDATE users SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [userId]
         );
-        
+        return true;
+    } finally {
         client.release();
+    }
+}
+
+// Target of the link in the verification email
+app.get('/api/email/verify', async (req, res) => {
+    try {
+        const verified = await verifyEmailToken(req.query.token);
         
-        res.json({
-            success: true,
-            message: 'Login successful',
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email
+        if (!verified) {
+            return res.status(400).send('This verification link is invalid or has expired. Request a new one from SkyParty.');
+        }
+        res.send('Your email address has been verified. You can return to SkyParty.');
+        
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).send('Email verification failed. Please try again later.');
+    }
+});
+
+app.post('/api/email/verify', async (req, res) => {
+    try {
+        const verified = await verifyEmailToken(req.body.token);
+        
+        if (!verified) {
+            return res.status(400).json({ success: false, message: 'Invalid or expired verification token' });
+        }
+        res.json({ success: true, message: 'Email verified successfully' });
+        
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ success: false, message: 'Email verification failed' });
+    }
+});
+
+app.post('/api/email/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        const client = await pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT id, username, email, email_verified FROM users WHERE id = $1',
+                [req.user.id]
+            );
+            const user = result.rows[0];
+            
+            if (!user) {
+                return res.status(404).json({ success: false, message: 'User not found' });
             }
-        });
+            if (user.email_verified) {
+                return res.status(400).json({ success: false, message: 'Email is already verified' });
+            }
+            
+            await sendVerificationEmail(client, user);
+        } finally {
+            client.release();
+        }
+        
+        res.json({ success: true, message: 'Verification email sent' });
         
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ success: false, message: 'Login failed' });
+        console.error('Resend verification error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send verification email' });
+    }
+});
+
+// Password reset
+// Always answers the same way so the endpoint cannot be used to probe for accounts
+app.post('/api/password/forgot', passwordResetRateLimit, async (req, res) => {
+    try {
+        const { email } = req.body;
+        
+        if (!email) {
+            return res.status(400).json({ success: false, message: 'Email is required' });
+        }
+        
+        const client = await pool.connect();
+        try {
+            const result = await client.query(
+                'SELECT id, username, email FROM users WHERE LOWER(email) = LOWER($1)',
+                [email]
+            );
+            if (result.rows.length > 0) {
+                await sendPasswordResetEmail(client, result.rows[0]);
+            }
+        } finally {
+            client.release();
+        }
+        
+        res.json({ success: true, message: 'If that email belongs to an account, a reset code has been sent' });
+        
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ success: false, message: 'Failed to start password reset' });
+    }
+});
+
+app.post('/api/password/reset', passwordResetRateLimit, async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+        
+        if (!token || !newPassword) {
+            return res.status(400).json({ success: false, message: 'Missing reset code or new password' });
+        }
+        if (newPassword.length < 6) {
+            return res.status(400).json({ success: false, message: 'Password must be at least 6 characters long' });
+        }
+        
+        const passwordHash = await hashPassword(newPassword);
+        
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const userId = await consumeEmailToken(client, token, 'password_reset');
+            
+            if (!userId) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, message: 'Invalid or expired reset code' });
+            }
+            
+            // Receiving the code proves the address, and every existing session is signed out
+            await client.query(`
+                UPDATE users
+                SET password_hash = $1,
+                    token_version = COALESCE(token_version, 0) + 1,
+                    email_verified = TRUE,
+                    email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+                WHERE id = $2
+            `, [passwordHash, userId]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        console.log('🔐 Password reset completed');
+        res.json({ success: true, message: 'Password has been reset. Please log in with your new password.' });
+        
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({ success: false, message: 'Password reset failed' });
     }
 });
 
 // Get user data
-app.get('/api/user/:userId/data', async (req, res) => {
+app.get('/api/user/:userId/data', requireUser, async (req, res) => {
     try {
         const { userId } = req.params;
         
@@ -883,6 +4518,7 @@ app.get('/api/user/:userId/data', async (req, res) => {
             'SELECT data_type, data_value FROM user_data WHERE user_id = $1',
             [userId]
         );
+        const gameCredits = await getBalance(client, userId);
         
         client.release();
         
@@ -892,242 +4528,433 @@ app.get('/api/user/:userId/data', async (req, res) => {
             userData[row.data_type] = row.data_value;
         });
         
-        res.json({
-            success: true,
-            data: userData
-        });
+        // The balance is derived from the credits ledger, never from user_data
+        userData.gameCredits = gameCredits;
+        
+        res.json({
+            success: true,
+            data: userData
+        });
+        
+    } catch (error) {
+        console.error('Get user data error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get user data' });
+    }
+});
+
+// Update user data
+app.put('/api/user/:userId/data', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const data = req.body;
+        
+        // Credits only change through ledger transactions
+        if ('gameCredits' in data) {
+            return res.status(400).json({
+                success: false,
+                message: 'gameCredits is read-only; credits change through the credits ledger'
+            });
+        }
+        
+        const client = await pool.connect();
+        try {
+            // Update currentCharacter in users table if provided; only owned characters can be selected
+            if (data.currentCharacter) {
+                const ownedCharacters = await getOwnedCharacters(client, userId);
+                if (!ownedCharacters.includes(data.currentCharacter)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Character not owned'
+                    });
+                }
+                
+                await client.query(
+                    'UPDATE users SET currentCharacter = $1 WHERE id = $2',
+                    [data.currentCharacter, userId]
+                );
+                console.log(`✅ Updated currentCharacter to ${data.currentCharacter} for user ${userId}`);
+            }
+            
+            // Update or insert each data type in user_data table
+            for (const [dataType, dataValue] of Object.entries(data)) {
+                // Skip currentCharacter as it's handled separately
+                if (dataType === 'currentCharacter') continue;
+                
+                // Serialise explicitly: pg would send arrays as Postgres arrays and strings unquoted
+                const valueToStore = JSON.stringify(dataValue);
+                
+                await client.query(
+                    `INSERT INTO user_data (user_id, data_type, data_value, updated_at) 
+                     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+                     ON CONFLICT (user_id, data_type) 
+                     DO UPDATE SET data_value = $3, updated_at = CURRENT_TIMESTAMP`,
+                    [userId, dataType, valueToStore]
+                );
+            }
+        } finally {
+            client.release();
+        }
+        
+        res.json({
+            success: true,
+            message: 'User data updated successfully'
+        });
+        
+    } catch (error) {
+        console.error('Update user data error:', error);
+        console.error('Error details:', {
+            message: error.message,
+            stack: error.stack,
+            userId: req.params.userId,
+            data: req.body
+        });
+        res.status(500).json({ 
+            success: false, 
+            message: 'Failed to update user data',
+            error: error.message 
+        });
+    }
+});
+
+// Account self-service
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Re-authentication for sensitive account changes
+async function checkCurrentPassword(client, userId, password) {
+    if (!password) return false;
+    const result = await client.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+    if (result.rows.length === 0) return false;
+    const { valid } = await verifyPassword(password, result.rows[0].password_hash);
+    return valid;
+}
+
+app.put('/api/user/:userId/username', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+        
+        if (!username || username.length > 50) {
+            return res.status(400).json({ success: false, message: 'Username must be between 1 and 50 characters' });
+        }
+        
+        const filteredName = checkText('username', username);
+        if (filteredName.action === 'reject') {
+            return res.status(400).json({ success: false, message: FILTER_REJECTIONS.username });
+        }
+        
+        const client = await pool.connect();
+        try {
+            const existingUser = await client.query(
+                'SELECT id FROM users WHERE LOWER(username) = LOWER($1) AND id <> $2',
+                [username, userId]
+            );
+            if (existingUser.rows.length > 0) {
+                return res.status(400).json({ success: false, message: 'Username already exists' });
+            }
+            
+            await client.query('BEGIN');
+            await client.query('UPDATE users SET username = $1 WHERE id = $2', [username, userId]);
+            if (filteredName.action === 'flag') {
+                await flagFilteredText(client, { targetId: userId, field: 'username', filtered: filteredName });
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        res.json({ success: true, message: 'Username updated successfully', username });
+        
+    } catch (error) {
+        console.error('Change username error:', error);
+        res.status(500).json({ success: false, message: 'Failed to change username' });
+    }
+});
+
+app.put('/api/user/:userId/email', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { currentPassword } = req.body;
+        const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+        
+        if (!EMAIL_PATTERN.test(email) || email.length > 100) {
+            return res.status(400).json({ success: false, message: 'Please enter a valid email address' });
+        }
+        
+        const client = await pool.connect();
+        try {
+            if (!await checkCurrentPassword(client, userId, currentPassword)) {
+                return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+            }
+            
+            const existingUser = await client.query(
+                'SELECT id FROM users WHERE LOWER(email) = LOWER($1) AND id <> $2',
+                [email, userId]
+            );
+            if (existingUser.rows.length > 0) {
+                return res.status(400).json({ success: false, message: 'Email already exists' });
+            }
+            
+            // The new address has to be verified again
+            const result = await client.query(`
+                UPDATE users SET email = $1, email_verified = FALSE, email_verified_at = NULL
+                WHERE id = $2
+                RETURNING id, username, email
+            `, [email, userId]);
+            
+            try {
+                await sendVerificationEmail(client, result.rows[0]);
+            } catch (error) {
+                console.error('❌ Verification email error:', error);
+            }
+        } finally {
+            client.release();
+        }
+        
+        res.json({ success: true, message: 'Email updated. Please verify your new address.', email });
         
     } catch (error) {
-        console.error('Get user data error:', error);
-        res.status(500).json({ success: false, message: 'Failed to get user data' });
+        console.error('Change email error:', error);
+        res.status(500).json({ success: false, message: 'Failed to change email' });
     }
 });
 
-// Update user data
-app.put('/api/user/:userId/data', async (req, res) => {
+// Signs out every other session and hands this one a fresh token pair
+app.put('/api/user/:userId/password', requireUser, async (req, res) => {
     try {
         const { userId } = req.params;
-        const data = req.body;
+        const { currentPassword, newPassword } = req.body;
         
-        const client = await pool.connect();
+        if (!newPassword || newPassword.length < 6) {
+            return res.status(400).json({ success: false, message: 'Password must be at least 6 characters long' });
+        }
         
-        // Update currentCharacter in users table if provided
-        if (data.currentCharacter) {
-            try {
-                await client.query(
-                    'UPDATE users SET currentCharacter = $1 WHERE id = $2',
-                    [data.currentCharacter, userId]
-                );
-                console.log(`✅ Updated currentCharacter to ${data.currentCharacter} for user ${userId}`);
-            } catch (error) {
-                console.log('⚠️ currentCharacter column not found, skipping character update:', error.message);
+        const client = await pool.connect();
+        let user;
+        try {
+            if (!await checkCurrentPassword(client, userId, currentPassword)) {
+                return res.status(401).json({ success: false, message: 'Current password is incorrect' });
             }
+            
+            const result = await client.query(`
+                UPDATE users SET password_hash = $1, token_version = COALESCE(token_version, 0) + 1
+                WHERE id = $2
+                RETURNING id, username, token_version
+            `, [await hashPassword(newPassword), userId]);
+            user = result.rows[0];
+        } finally {
+            client.release();
         }
         
-        // Update or insert each data type in user_data table
-        for (const [dataType, dataValue] of Object.entries(data)) {
-            // Skip currentCharacter as it's handled separately
-            if (dataType === 'currentCharacter') continue;
+        res.json({ success: true, message: 'Password changed successfully', tokens: issueTokens(user) });
+        
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ success: false, message: 'Failed to change password' });
+    }
+});
+
+// Everything stored about the user, as a downloadable JSON archive
+app.get('/api/user/:userId/export', requireUser, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        
+        const client = await pool.connect();
+        let archive;
+        try {
+            const profile = await client.query(`
+                SELECT id, username, email, currentCharacter AS "currentCharacter", created_at AS "createdAt",
+                       last_login AS "lastLogin", last_seen AS "lastSeen", bio, profile_showcase AS "showcase",
+                       profile_visibility AS "profileVisibility", email_verified AS "emailVerified", activated, activated_at AS "activatedAt"
+                FROM users WHERE id = $1
+            `, [userId]);
+            const userData = await client.query(
+                'SELECT data_type, data_value FROM user_data WHERE user_id = $1',
+                [userId]
+            );
+            const characters = await client.query(
+                'SELECT character_id, acquired_at, acquired_via, quantity FROM user_characters WHERE user_id = $1 ORDER BY acquired_at',
+                [userId]
+            );
+            const inventory = await client.query(
+                'SELECT * FROM character_inventory WHERE user_id = $1 ORDER BY acquired_date',
+                [userId]
+            );
+            const gifts = await client.query(`
+                SELECT g.*, s.username AS sender_username, r.username AS recipient_username
+                FROM gifts g
+                LEFT JOIN users s ON s.id = g.sender_id
+                LEFT JOIN users r ON r.id = g.recipient_id
+                WHERE g.sender_id = $1 OR g.recipient_id = $1
+                ORDER BY g.created_at
+            `, [userId]);
+            const messages = await client.query(`
+                SELECT m.id, m.conversation_id, m.content, m.read_status, m.created_at, m.edited_at, m.deleted_at,
+                       s.username AS sender_username, r.username AS recipient_username
+                FROM messages m
+                LEFT JOIN users s ON s.id = m.sender_id
+                LEFT JOIN users r ON r.id = m.recipient_id
+                WHERE m.sender_id = $1 OR m.recipient_id = $1
+                   OR m.conversation_id IN (SELECT conversation_id FROM conversation_members WHERE user_id = $1)
+                ORDER BY m.created_at
+            `, [userId]);
+            const attachments = await client.query(`
+                SELECT id, message_id, filename, mime_type, size_bytes, width, height, created_at
+                FROM attachments WHERE uploader_id = $1
+                ORDER BY created_at
+            `, [userId]);
+            const conversationMemberships = await client.query(`
+                SELECT c.id, c.is_group, c.name, m.role, m.joined_at
+                FROM conversation_members m
+                JOIN conversations c ON c.id = m.conversation_id
+                WHERE m.user_id = $1
+                ORDER BY m.joined_at
+            `, [userId]);
+            const ledger = await client.query(`
+                SELECT t.id, t.reason, t.reference_id, t.created_at, e.amount
+                FROM ledger_entries e
+                JOIN ledger_transactions t ON t.id = e.transaction_id
+                WHERE e.user_id = $1
+                ORDER BY t.id
+            `, [userId]);
+            const gameSessions = await client.query(
+                'SELECT game_type, earned_credits, duration, played_at FROM game_sessions WHERE user_id = $1 ORDER BY played_at',
+                [userId]
+            );
+            const blocked = await listUsers(client, 'block', userId);
+            const muted = await listUsers(client, 'mute', userId);
+            const friends = await listFriends(client, userId);
+            const friendRequests = await listFriendRequests(client, userId);
+            const reportsFiled = await client.query(`
+                SELECT r.id, t.username AS target_username, r.reason, r.details, r.status, r.created_at
+                FROM reports r
+                LEFT JOIN users t ON t.id = r.target_id
+                WHERE r.reporter_id = $1
+                ORDER BY r.created_at
+            `, [userId]);
+            const sanctions = await client.query(
+                'SELECT type, reason, expires_at, acknowledged_at, revoked_at, created_at FROM user_sanctions WHERE user_id = $1 ORDER BY created_at',
+                [userId]
+            );
+            const base = await client.query(
+                'SELECT layout, version, visibility, visit_count, updated_at FROM player_bases WHERE user_id = $1',
+                [userId]
+            );
             
-            // Convert arrays/objects to proper JSON for JSONB storage
-            const valueToStore = typeof dataValue === 'object' ? dataValue : dataValue;
+            const data = {};
+            userData.rows.forEach(row => {
+                data[row.data_type] = row.data_value;
+            });
             
-            await client.query(
-                `INSERT INTO user_data (user_id, data_type, data_value, updated_at) 
-                 VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
-                 ON CONFLICT (user_id, data_type) 
-                 DO UPDATE SET data_value = $3, updated_at = CURRENT_TIMESTAMP`,
-                [userId, dataType, valueToStore]
-            );
+            archive = {
+                exportedAt: new Date().toISOString(),
+                profile: profile.rows[0],
+                userData: data,
+                characters: characters.rows,
+                inventory: inventory.rows,
+                gifts: gifts.rows,
+                conversations: conversationMemberships.rows,
+                messages: messages.rows,
+                attachments: attachments.rows,
+                privacy: await getPrivacySettings(client, userId),
+                friends,
+                friendRequests,
+                blocked,
+                muted,
+                reportsFiled: reportsFiled.rows,
+                sanctions: sanctions.rows,
+                base: base.rows[0] || null,
+                recentSearches: await listRecentSearches(client, userId),
+                notifications: await listNotifications(client, userId, { limit: null }),
+                credits: {
+                    balance: await getBalance(client, userId),
+                    ledger: ledger.rows
+                },
+                gameSessions: gameSessions.rows
+            };
+        } finally {
+            client.release();
         }
         
-        client.release();
-        
-        res.json({
-            success: true,
-            message: 'User data updated successfully'
-        });
+        res.setHeader('Content-Disposition', `attachment; filename="skyparty-export-${userId}.json"`);
+        res.json(archive);
         
     } catch (error) {
-        console.error('Update user data error:', error);
-        console.error('Error details:', {
-            message: error.message,
-            stack: error.stack,
-            userId: req.params.userId,
-            data: req.body
-        });
-        res.status(500).json({ 
-            success: false, 
-            message: 'Failed to update user data',
-            error: error.message 
-        });
+        console.error('Data export error:', error);
+        res.status(500).json({ success: false, message: 'Failed to export data' });
     }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ success: false, error: 'Internal server error' });
-});
-
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({ success: false, error: 'Endpoint not found' });
-});
-
-// Create database tables
-async function createTables() {
+// Delete the account. Rows owned by the user go through ON DELETE CASCADE; messages
+// in conversations with other players and gifts the user sent are kept but no longer
+// point at the user.
+app.delete('/api/user/:userId', requireUser, async (req, res) => {
     try {
-        console.log('🔧 Creating database tables...');
-        console.log('🔍 Attempting to connect to database...');
+        const { userId } = req.params;
+        const { currentPassword } = req.body;
         
         const client = await pool.connect();
-        console.log('✅ Database connection successful!');
-        
-        // Create users table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS users (
-                id SERIAL PRIMARY KEY,
-                username VARCHAR(50) UNIQUE NOT NULL,
-                email VARCHAR(100) UNIQUE NOT NULL,
-                password_hash VARCHAR(255) NOT NULL,
-                currentCharacter VARCHAR(50) DEFAULT 'kitty',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                last_login TIMESTAMP
-            )
-        `);
-        
-        // Add currentCharacter column if it doesn't exist (migration)
         try {
-            await client.query(`
-                ALTER TABLE users ADD COLUMN IF NOT EXISTS currentCharacter VARCHAR(50) DEFAULT 'kitty'
-            `);
-            console.log('✅ Added currentCharacter column to users table');
+            if (!await checkCurrentPassword(client, userId, currentPassword)) {
+                return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+            }
+            
+            await client.query('BEGIN');
+            
+            // The server must keep at least one admin
+            const admins = await client.query("SELECT id FROM users WHERE role = 'admin' FOR UPDATE");
+            if (admins.rows.length === 1 && String(admins.rows[0].id) === String(userId)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, message: 'Promote another admin before deleting this account' });
+            }
+            
+            // Credits and characters held by gifts to this user go back to their senders
+            const pendingGifts = await client.query(`
+                UPDATE gifts SET status = 'rejected', claimed_at = CURRENT_TIMESTAMP
+                WHERE recipient_id = $1 AND status = 'pending'
+                RETURNING id, sender_id, item_type, character_id, item_price
+            `, [userId]);
+            for (const gift of pendingGifts.rows) {
+                await returnGift(client, gift);
+            }
+            
+            // Gifts this user sent stay with their recipients, who can still claim pending ones
+            await client.query('UPDATE gifts SET sender_id = NULL WHERE sender_id = $1', [userId]);
+            
+            await client.query('UPDATE messages SET sender_id = NULL WHERE sender_id = $1', [userId]);
+            await client.query('UPDATE messages SET recipient_id = NULL WHERE recipient_id = $1', [userId]);
+            // The legacy participant columns would cascade the whole conversation away
+            await client.query('UPDATE conversations SET participant1_id = NULL WHERE participant1_id = $1', [userId]);
+            await client.query('UPDATE conversations SET participant2_id = NULL WHERE participant2_id = $1', [userId]);
+            
+            // Owned groups pass to another member; conversations left empty are deleted
+            const memberships = await client.query(
+                'SELECT conversation_id FROM conversation_members WHERE user_id = $1',
+                [userId]
+            );
+            for (const membership of memberships.rows) {
+                await removeMember(client, membership.conversation_id, userId);
+            }
+            
+            await client.query('DELETE FROM users WHERE id = $1', [userId]);
+            await client.query('COMMIT');
         } catch (error) {
-            console.log('⚠️ currentCharacter column already exists or error:', error.message);
-        }
-        
-        // Create user_data table for game data
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS user_data (
-                id SERIAL PRIMARY KEY,
-                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                data_type VARCHAR(50) NOT NULL,
-                data_value JSONB,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(user_id, data_type)
-            )
-        `);
-        
-        // Create conversations table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS conversations (
-                id VARCHAR(255) PRIMARY KEY,
-                participant1_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                participant2_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-        
-        // Create messages table
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS messages (
-                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-                conversation_id VARCHAR(255) REFERENCES conversations(id) ON DELETE CASCADE,
-                sender_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                recipient_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                content TEXT NOT NULL,
-                read_status BOOLEAN DEFAULT FALSE,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-        
-        // Create characters table (master character definitions)
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS characters (
-                id VARCHAR(50) PRIMARY KEY,
-                name VARCHAR(100) NOT NULL,
-                icon VARCHAR(10) NOT NULL,
-                description TEXT,
-                price INTEGER DEFAULT 0,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-        
-        // Create user_characters table (user's owned characters)
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS user_characters (
-                id SERIAL PRIMARY KEY,
-                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                character_id VARCHAR(50) REFERENCES characters(id) ON DELETE CASCADE,
-                acquired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                acquired_via VARCHAR(20) DEFAULT 'purchase',
-                quantity INTEGER DEFAULT 1,
-                UNIQUE(user_id, character_id)
-            )
-        `);
-        
-        // Create character_inventory table (detailed inventory tracking)
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS character_inventory (
-                id SERIAL PRIMARY KEY,
-                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                character_id VARCHAR(50) REFERENCES characters(id) ON DELETE CASCADE,
-                item_name VARCHAR(100) NOT NULL,
-                item_type VARCHAR(50) DEFAULT 'character',
-                icon VARCHAR(10),
-                description TEXT,
-                price INTEGER DEFAULT 0,
-                acquired_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                source VARCHAR(20) DEFAULT 'purchase',
-                quantity INTEGER DEFAULT 1,
-                metadata JSONB
-            )
-        `);
-        
-        // Create gifts table (fresh new gift system)
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS gifts (
-                id SERIAL PRIMARY KEY,
-                sender_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                recipient_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                item_type VARCHAR(50) NOT NULL DEFAULT 'character',
-                item_name VARCHAR(100) NOT NULL,
-                item_icon VARCHAR(10),
-                item_description TEXT,
-                item_price INTEGER DEFAULT 0,
-                message TEXT,
-                status VARCHAR(20) DEFAULT 'pending',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                claimed_at TIMESTAMP
-            )
-        `);
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
         
-        await client.query(`
-            INSERT INTO characters (id, name, icon, description, price) VALUES
-            ('kitty', 'Kitty', '🐱', 'A cute and friendly kitty character. Perfect for beginners!', 0),
-            ('dragon', 'Dragon', '🐉', 'A powerful dragon with mystical abilities.', 500),
-            ('robot', 'Robot', '🤖', 'An advanced AI robot companion.', 300),
-            ('ninja', 'Ninja', '🥷', 'A stealthy ninja warrior.', 400),
-            ('wizard', 'Wizard', '🧙', 'A wise wizard with magical powers.', 600),
-            ('pirate', 'Pirate', '🏴‍☠️', 'A swashbuckling pirate adventurer.', 350),
-            ('bear', 'Bear', '🐻', 'A strong and cuddly bear companion.', 250),
-            ('unicorn', 'Unicorn', '🦄', 'A magical unicorn with healing powers.', 800),
-            ('rabbit', 'Rabbit', '🐰', 'A quick and agile rabbit friend.', 200),
-            ('fox', 'Fox', '🦊', 'A clever and cunning fox.', 300),
-            ('owl', 'Owl', '🦉', 'A wise owl with night vision.', 400),
-            ('wolf', 'Wolf', '🐺', 'A loyal wolf pack leader.', 450)
-            ON CONFLICT (id) DO NOTHING
-        `);
+        console.log(`🗑️ Deleted account ${userId}`);
+        res.json({ success: true, message: 'Account deleted' });
         
-        client.release();
-        console.log('✅ Database tables created successfully!');
     } catch (error) {
-        console.error('❌ Error creating tables:', error.message);
+        console.error('Delete account error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete account' });
     }
-}
+});
 
 // Character API endpoints
 app.get('/api/characters', async (req, res) => {
@@ -1150,7 +4977,7 @@ app.get('/api/characters', async (req, res) => {
     }
 });
 
-app.get('/api/user/:userId/characters', async (req, res) => {
+app.get('/api/user/:userId/characters', requireUser, async (req, res) => {
     try {
         const userId = req.params.userId;
         const client = await pool.connect();
@@ -1176,49 +5003,27 @@ app.get('/api/user/:userId/characters', async (req, res) => {
     }
 });
 
-app.post('/api/user/:userId/characters/:characterId', async (req, res) => {
-    try {
-        const userId = req.params.userId;
-        const characterId = req.params.characterId;
-        const { acquired_via = 'purchase' } = req.body;
-        
-        const client = await pool.connect();
-        
-        // Check if user already owns this character
-        const existing = await client.query(`
-            SELECT id, quantity FROM user_characters 
-            WHERE user_id = $1 AND character_id = $2
-        `, [userId, characterId]);
-        
-        if (existing.rows.length > 0) {
-            // Update quantity
-            await client.query(`
-                UPDATE user_characters 
-                SET quantity = quantity + 1, acquired_at = CURRENT_TIMESTAMP
-                WHERE user_id = $1 AND character_id = $2
-            `, [userId, characterId]);
-        } else {
-            // Insert new character
-            await client.query(`
-                INSERT INTO user_characters (user_id, character_id, acquired_via)
-                VALUES ($1, $2, $3)
-            `, [userId, characterId, acquired_via]);
-        }
-        
-        client.release();
-        
-        res.json({ 
-            success: true, 
-            message: 'Character added successfully' 
+// Gift System API Endpoints (Fresh Implementation)
+const GIFT_ITEM_TYPES = ['character', 'credits'];
+
+// Give a rejected gift's credits or character back to its sender. Must run inside a transaction.
+// When the sender's account has been deleted the credits go back to the system, like the
+// rest of their balance, and the character is dropped.
+async function returnGift(client, gift) {
+    if (gift.item_type === 'credits') {
+        await transferCredits(client, {
+            from: SYSTEM_ACCOUNTS.ESCROW,
+            to: gift.sender_id === null ? SYSTEM_ACCOUNTS.REWARDS : gift.sender_id,
+            amount: gift.item_price,
+            reason: 'refund',
+            referenceId: `gift:${gift.id}`
         });
-    } catch (error) {
-        console.error('Error adding character:', error);
-        res.status(500).json({ success: false, error: 'Failed to add character' });
+    } else if (gift.item_type === 'character' && gift.character_id && gift.sender_id !== null) {
+        await addCharacter(client, gift.sender_id, gift.character_id, 'gift');
     }
-});
+}
 
-// Gift System API Endpoints (Fresh Implementation)
-app.post('/api/gifts/send', async (req, res) => {
+app.post('/api/gifts/send', requireUser, async (req, res) => {
     try {
         const { senderId, recipientId, itemType, itemData, message } = req.body;
         
@@ -1229,26 +5034,132 @@ app.post('/api/gifts/send', async (req, res) => {
             });
         }
         
-        const client = await pool.connect();
+        if (!GIFT_ITEM_TYPES.includes(itemType)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `itemType must be one of: ${GIFT_ITEM_TYPES.join(', ')}` 
+            });
+        }
         
-        // Insert gift into database
-        const result = await client.query(`
-            INSERT INTO gifts (sender_id, recipient_id, item_type, item_name, item_icon, item_description, item_price, message)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-            RETURNING id, created_at
-        `, [
-            senderId, 
-            recipientId, 
-            itemType, 
-            itemData.name, 
-            itemData.icon, 
-            itemData.description, 
-            itemData.price, 
-            message || ''
-        ]);
+        // Credit gifts carry their amount in item_price and are held in escrow until claimed
+        const isCreditsGift = itemType === 'credits';
+        const creditsAmount = isCreditsGift ? Number(itemData.amount) : 0;
         
-        client.release();
+        if (isCreditsGift && (!Number.isInteger(creditsAmount) || creditsAmount <= 0)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Credit gifts need a positive whole amount' 
+            });
+        }
+        if (!isCreditsGift && typeof itemData.id !== 'string') {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Character gifts need the character id' 
+            });
+        }
+        
+        const filteredNote = checkText('gift', typeof message === 'string' ? message : '');
+        if (filteredNote.action === 'reject') {
+            return res.status(400).json({ success: false, error: FILTER_REJECTIONS.gift });
+        }
+        
+        const client = await pool.connect();
+        let result;
+        let notification;
+        try {
+            const sanction = await getActiveSanction(client, senderId, MESSAGING_SANCTIONS);
+            if (sanction) {
+                return sendSanctioned(res, sanction);
+            }
+            
+            const recipient = Number.isInteger(Number(recipientId))
+                ? await client.query('SELECT id FROM users WHERE id = $1', [recipientId])
+                : { rows: [] };
+            if (recipient.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'Recipient not found' });
+            }
+            
+            const blockStatus = await getBlockStatus(client, senderId, recipientId);
+            if (blockStatus.blocked || blockStatus.blockedBy) {
+                return res.status(403).json({
+                    success: false,
+                    error: blockStatus.blocked ? 'Unblock this user to send them gifts' : 'You cannot send gifts to this user'
+                });
+            }
+            if ((await getFriendsOnlyAmong(client, senderId, [recipientId], 'gifts')).length > 0) {
+                return res.status(403).json({ success: false, error: 'This player only accepts gifts from friends' });
+            }
+            
+            // Character details come from the characters table, never from the client
+            let item = { name: `${creditsAmount} GC`, icon: itemData.icon, description: itemData.description, price: creditsAmount };
+            if (!isCreditsGift) {
+                const characterResult = await client.query(
+                    'SELECT id, name, icon, description, price FROM characters WHERE id = $1',
+                    [itemData.id]
+                );
+                if (characterResult.rows.length === 0) {
+                    return res.status(404).json({ success: false, error: 'Character not found' });
+                }
+                item = characterResult.rows[0];
+            }
+            
+            await client.query('BEGIN');
+            
+            // Insert gift into database
+            result = await client.query(`
+                INSERT INTO gifts (sender_id, recipient_id, item_type, character_id, item_name, item_icon, item_description, item_price, message)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING id, created_at
+            `, [
+                senderId, 
+                recipientId, 
+                itemType, 
+                isCreditsGift ? null : item.id, 
+                item.name, 
+                item.icon, 
+                item.description, 
+                item.price, 
+                filteredNote.text
+            ]);
+            
+            if (filteredNote.action === 'flag') {
+                await flagFilteredText(client, { targetId: senderId, field: 'gift', filtered: filteredNote });
+            }
+            
+            if (isCreditsGift) {
+                const transactionId = await transferCredits(client, {
+                    from: senderId,
+                    to: SYSTEM_ACCOUNTS.ESCROW,
+                    amount: creditsAmount,
+                    reason: 'gift',
+                    referenceId: `gift:${result.rows[0].id}`
+                });
+                
+                if (transactionId === null) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ success: false, error: 'Insufficient credits' });
+                }
+            } else if (!await takeCharacter(client, senderId, item.id)) {
+                // The character leaves the sender's collection until the gift is claimed or rejected
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, error: 'You do not own this character' });
+            }
+            
+            notification = await createNotification(client, recipientId, 'gift_received', senderId, {
+                giftId: result.rows[0].id,
+                itemName: item.name,
+                itemIcon: item.icon
+            });
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
         
+        await publishNotification(recipientId, notification);
         res.json({ 
             success: true, 
             giftId: result.rows[0].id,
@@ -1261,7 +5172,7 @@ app.post('/api/gifts/send', async (req, res) => {
     }
 });
 
-app.get('/api/user/:userId/gifts', async (req, res) => {
+app.get('/api/user/:userId/gifts', requireUser, async (req, res) => {
     try {
         const userId = req.params.userId;
         const client = await pool.connect();
@@ -1276,7 +5187,7 @@ app.get('/api/user/:userId/gifts', async (req, res) => {
                 g.status,
                 g.created_at,
                 g.claimed_at,
-                u.username as sender_username,
+                COALESCE(u.username, $2) as sender_username,
                 r.username as recipient_username,
                 JSON_BUILD_OBJECT(
                     'name', g.item_name,
@@ -1285,11 +5196,11 @@ app.get('/api/user/:userId/gifts', async (req, res) => {
                     'price', g.item_price
                 ) as item_data
             FROM gifts g
-            JOIN users u ON g.sender_id = u.id
+            LEFT JOIN users u ON g.sender_id = u.id
             JOIN users r ON g.recipient_id = r.id
             WHERE g.recipient_id = $1 AND g.status = 'pending'
             ORDER BY g.created_at DESC
-        `, [userId]);
+        `, [userId, DELETED_USER_NAME]);
         
         client.release();
         
@@ -1303,57 +5214,75 @@ app.get('/api/user/:userId/gifts', async (req, res) => {
     }
 });
 
-app.post('/api/gifts/:giftId/claim', async (req, res) => {
+app.post('/api/gifts/:giftId/claim', requireUser, async (req, res) => {
     try {
         const giftId = req.params.giftId;
-        const { userId } = req.body;
+        const userId = req.user.id;
         
         const client = await pool.connect();
-        
-        // Get gift details
-        const giftResult = await client.query(`
-            SELECT * FROM gifts WHERE id = $1 AND recipient_id = $2 AND status = 'pending'
-        `, [giftId, userId]);
-        
-        if (giftResult.rows.length === 0) {
-            client.release();
-            return res.status(404).json({ success: false, error: 'Gift not found or already claimed' });
-        }
-        
-        const gift = giftResult.rows[0];
-        
-        // Update gift status
-        await client.query(`
-            UPDATE gifts 
-            SET status = 'claimed', claimed_at = CURRENT_TIMESTAMP
-            WHERE id = $1
-        `, [giftId]);
-        
-        // Add character to user's inventory if it's a character gift
-        if (gift.item_type === 'character') {
-            // Find character ID
-            const characterResult = await client.query(`
-                SELECT id FROM characters WHERE name = $1
-            `, [gift.item_name]);
+        let newBalance;
+        let gift;
+        let notification;
+        try {
+            await client.query('BEGIN');
             
-            if (characterResult.rows.length > 0) {
-                const characterId = characterResult.rows[0].id;
-                
-                // Add to user_characters
-                await client.query(`
-                    INSERT INTO user_characters (user_id, character_id, acquired_via)
-                    VALUES ($1, $2, 'gift')
-                    ON CONFLICT (user_id, character_id) 
-                    DO UPDATE SET quantity = user_characters.quantity + 1
-                `, [userId, characterId]);
+            // Claim the gift; the status check makes concurrent claims a no-op
+            const giftResult = await client.query(`
+                UPDATE gifts 
+                SET status = 'claimed', claimed_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND recipient_id = $2 AND status = 'pending'
+                RETURNING *
+            `, [giftId, userId]);
+            
+            if (giftResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ success: false, error: 'Gift not found or already claimed' });
+            }
+            
+            gift = giftResult.rows[0];
+            
+            // Hand over the character taken from the sender when the gift was sent
+            if (gift.item_type === 'character' && gift.character_id) {
+                await addCharacter(client, userId, gift.character_id, 'gift');
+            }
+            
+            // Release escrowed credits to the recipient
+            if (gift.item_type === 'credits') {
+                await transferCredits(client, {
+                    from: SYSTEM_ACCOUNTS.ESCROW,
+                    to: gift.recipient_id,
+                    amount: gift.item_price,
+                    reason: 'gift',
+                    referenceId: `gift:${gift.id}`
+                });
+                newBalance = await getBalance(client, userId);
+            }
+            
+            await markNotificationsReadFor(client, userId, 'gift_received', 'giftId', gift.id);
+            if (gift.sender_id !== null) {
+                notification = await createNotification(client, gift.sender_id, 'gift_claimed', userId, {
+                    giftId: gift.id,
+                    itemName: gift.item_name,
+                    itemIcon: gift.item_icon
+                });
             }
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
         }
         
-        client.release();
-        
+        await publishNotification(userId);
+        if (gift.sender_id !== null) {
+            await publishNotification(gift.sender_id, notification);
+        }
         res.json({ 
             success: true, 
-            message: 'Gift claimed successfully' 
+            message: 'Gift claimed successfully',
+            newBalance 
         });
     } catch (error) {
         console.error('Error claiming gift:', error);
@@ -1361,26 +5290,46 @@ app.post('/api/gifts/:giftId/claim', async (req, res) => {
     }
 });
 
-app.post('/api/gifts/:giftId/reject', async (req, res) => {
+app.post('/api/gifts/:giftId/reject', requireUser, async (req, res) => {
     try {
         const giftId = req.params.giftId;
-        const { userId } = req.body;
+        const userId = req.user.id;
         
         const client = await pool.connect();
-        
-        // Update gift status to rejected
-        const result = await client.query(`
-            UPDATE gifts 
-            SET status = 'rejected'
-            WHERE id = $1 AND recipient_id = $2 AND status = 'pending'
-        `, [giftId, userId]);
-        
-        client.release();
+        let result;
+        try {
+            await client.query('BEGIN');
+            
+            // Update gift status to rejected
+            result = await client.query(`
+                UPDATE gifts 
+                SET status = 'rejected'
+                WHERE id = $1 AND recipient_id = $2 AND status = 'pending'
+                RETURNING id, sender_id, item_type, character_id, item_price
+            `, [giftId, userId]);
+            
+            // Return escrowed credits or the character to the sender
+            const gift = result.rows[0];
+            if (gift) {
+                await returnGift(client, gift);
+            }
+            if (gift) {
+                await markNotificationsReadFor(client, userId, 'gift_received', 'giftId', gift.id);
+            }
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
         
         if (result.rowCount === 0) {
             return res.status(404).json({ success: false, error: 'Gift not found or already processed' });
         }
         
+        await publishNotification(userId);
         res.json({ 
             success: true, 
             message: 'Gift rejected successfully' 
@@ -1391,13 +5340,72 @@ app.post('/api/gifts/:giftId/reject', async (req, res) => {
     }
 });
 
+// Error handling middleware
+// Registered after every route so that the 404 handler does not shadow them
+app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+});
+
+// 404 handler
+app.use((req, res) => {
+    res.status(404).json({ success: false, error: 'Endpoint not found' });
+});
+
 async function startServer() {
-    await ensureDataDir();
     await createTables();
+    
+    try {
+        await bootstrapAdmin(pool);
+    } catch (error) {
+        console.error('❌ Error bootstrapping admin:', error.message);
+    }
+    
+    // Move any balances still held in user_data onto the credits ledger
+    try {
+        const client = await pool.connect();
+        try {
+            const migrated = await migrateLegacyBalances(client);
+            if (migrated > 0) {
+                console.log(`💰 Opened ledger balances for ${migrated} users`);
+            }
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        console.error('❌ Error migrating credit balances:', error.message);
+    }
+    
+    try {
+        await loadContentFilter(pool);
+    } catch (error) {
+        console.error('❌ Error loading content filter:', error.message);
+    }
+    
+    // Clean up unsent attachments, old base visits and old read notifications hourly
+    const attachmentCleanup = setInterval(() => {
+        deleteUnsentAttachments().catch(error => console.error('❌ Attachment cleanup error:', error.message));
+        pruneBaseVisits(pool).catch(error => console.error('❌ Base visit cleanup error:', error.message));
+        pruneReadNotifications(pool).catch(error => console.error('❌ Notification cleanup error:', error.message));
+    }, 60 * MINUTE_MS);
+    attachmentCleanup.unref();
+    
+    // Players whose heartbeats stopped go offline
+    const presenceSweep = setInterval(async () => {
+        try {
+            const expiredIds = await expireStalePresence(pool);
+            for (const userId of expiredIds) {
+                await publishPresence(userId);
+            }
+        } catch (error) {
+            console.error('❌ Presence sweep error:', error.message);
+        }
+    }, 30 * 1000);
+    presenceSweep.unref();
+    
     app.listen(PORT, () => {
         console.log(`🎮 SkyParty Backend Server running on port ${PORT}`);
         console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-        console.log(`📁 Data directory: ${DATA_DIR}`);
         console.log(`🗄️ Database: Connected to PostgreSQL`);
     });
 }
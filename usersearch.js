@@ -0,0 +1,106 @@
+// SkyParty User Search
+// Usernames are matched case-insensitively and ranked in tiers: the exact name
+// first, then names starting with the search text, then names containing it,
+// then names that are only similar (pg_trgm trigram similarity, for typos).
+// Within a tier closer and shorter names come first. Without the pg_trgm
+// extension only the first three tiers are searched. Results never include
+// email addresses, and players who blocked the searcher are left out.
+// Signed-in players keep a short history of their recent searches.
+
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+const SEARCH_QUERY_MAX_LENGTH = 50;
+const MAX_RECENT_SEARCHES = 10;
+
+// Match LIKE wildcards literally
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, '\\$&');
+}
+
+// Whether the pg_trgm extension is installed; checked once per process
+let trigramSupport = null;
+
+async function hasTrigramSupport(client) {
+    if (trigramSupport === null) {
+        const result = await client.query("SELECT EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm') AS installed");
+        trigramSupport = result.rows[0].installed;
+    }
+    return trigramSupport;
+}
+
+// One page of matches; fetches a row extra to tell whether there is another page
+async function searchUsers(client, searcherId, query, { page, limit }) {
+    const pattern = escapeLike(query.toLowerCase());
+    const fuzzy = await hasTrigramSupport(client);
+    const result = await client.query(`
+        SELECT u.id, u.username, u.currentCharacter AS character_id, u.created_at
+        FROM users u
+        WHERE (LOWER(u.username) LIKE '%' || $2 || '%' ${fuzzy ? 'OR LOWER(u.username) % LOWER($1)' : ''})
+          AND NOT EXISTS (SELECT 1 FROM user_blocks b WHERE b.user_id = u.id AND b.blocked_user_id = $3)
+        ORDER BY CASE
+                     WHEN LOWER(u.username) = LOWER($1) THEN 0
+                     WHEN LOWER(u.username) LIKE $2 || '%' THEN 1
+                     WHEN LOWER(u.username) LIKE '%' || $2 || '%' THEN 2
+                     ELSE 3
+                 END,
+                 ${fuzzy ? 'similarity(LOWER(u.username), LOWER($1)) DESC,' : ''}
+                 LENGTH(u.username), u.username, u.id
+        LIMIT $4 OFFSET $5
+    `, [query, pattern, searcherId, limit + 1, (page - 1) * limit]);
+
+    return {
+        users: result.rows.slice(0, limit).map(row => ({
+            id: row.id,
+            username: row.username,
+            currentCharacter: row.character_id || 'kitty',
+            createdAt: row.created_at
+        })),
+        hasMore: result.rows.length > limit
+    };
+}
+
+// Newest first
+async function listRecentSearches(client, userId) {
+    const result = await client.query(`
+        SELECT id, query, searched_at FROM search_history
+        WHERE user_id = $1
+        ORDER BY searched_at DESC, id DESC
+    `, [userId]);
+    return result.rows.map(row => ({ id: row.id, query: row.query, searchedAt: row.searched_at.toISOString() }));
+}
+
+// Repeating a search moves it to the top; only the newest MAX_RECENT_SEARCHES are kept
+async function recordSearch(client, userId, query) {
+    await client.query(`
+        INSERT INTO search_history (user_id, query)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id, (LOWER(query))) DO UPDATE SET query = EXCLUDED.query, searched_at = CURRENT_TIMESTAMP
+    `, [userId, query]);
+    await client.query(`
+        DELETE FROM search_history
+        WHERE user_id = $1 AND id NOT IN (
+            SELECT id FROM search_history WHERE user_id = $1
+            ORDER BY searched_at DESC, id DESC
+            LIMIT $2
+        )
+    `, [userId, MAX_RECENT_SEARCHES]);
+}
+
+// Removes one search, or all of them when searchId is null; returns how many were removed
+async function clearRecentSearches(client, userId, searchId = null) {
+    const result = await client.query(
+        'DELETE FROM search_history WHERE user_id = $1 AND ($2::integer IS NULL OR id = $2)',
+        [userId, searchId]
+    );
+    return result.rowCount;
+}
+
+module.exports = {
+    SEARCH_PAGE_SIZE,
+    MAX_SEARCH_PAGE_SIZE,
+    SEARCH_QUERY_MAX_LENGTH,
+    searchUsers,
+    listRecentSearches,
+    recordSearch,
+    clearRecentSearches
+};